@@ -0,0 +1,434 @@
+// activities.js
+const crypto = require('crypto');
+const storage = require('./storage');
+const revisions = require('./revisions');
+const { validateNode } = require('./itinerarySchema');
+const i18n = require('./i18n');
+const photos = require('./photos');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const EXCERPT_LENGTH = 160;
+
+// Catalog text is written in English; these languages may carry their own
+const TRANSLATION_LANGUAGES = Object.keys(i18n.LANGUAGES).filter(code => code !== i18n.DEFAULT_LANGUAGE);
+
+const translationSchema = {
+    type: 'object',
+    properties: {
+        activity: { type: 'string', maxLength: 200 },
+        description: { type: 'string', maxLength: 5000 }
+    }
+};
+
+const activitySchema = {
+    type: 'object',
+    properties: {
+        activity: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+        description: { type: 'string', maxLength: 5000 },
+        // Per traveller, in LKR
+        price: { type: 'integer', required: true, min: 0 },
+        city: { type: 'string', maxLength: 100 },
+        // { de: { activity, description } }, shown in documents in that language
+        translations: {
+            type: 'object',
+            properties: Object.fromEntries(TRANSLATION_LANGUAGES.map(code => [code, translationSchema]))
+        },
+        // Shown in the day's section of itineraries that pick this activity (see photos.js)
+        photos: photos.photoListSchema
+    }
+};
+
+const EDITABLE_FIELDS = Object.keys(activitySchema.properties);
+
+// Sort orders accepted by listActivities; "relevance" needs a search query
+const SORTS = {
+    activity: (a, b) => a.activity.localeCompare(b.activity),
+    '-activity': (a, b) => b.activity.localeCompare(a.activity),
+    price: (a, b) => priceOf(a) - priceOf(b) || a.activity.localeCompare(b.activity),
+    '-price': (a, b) => priceOf(b) - priceOf(a) || a.activity.localeCompare(b.activity),
+    relevance: (a, b) => b.score - a.score || a.activity.localeCompare(b.activity)
+};
+
+/**
+ * Error raised for a bad search request or a change the user may not make
+ * @property {number} status - HTTP status to answer with
+ * @property {Array<{path: string, message: string}>} errors - Invalid fields, for a 400
+ * @property {Array<string>} [itineraryIds] - Itineraries in the way, for a 409
+ */
+class ActivityError extends Error {
+    constructor(message, status, errors = []) {
+        super(message);
+        this.name = 'ActivityError';
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Prices are stored as strings of whole LKR, like the original catalog
+function priceOf(activity) {
+    return parseFloat(activity.price) || 0;
+}
+
+/**
+ * Whether a user can see an activity: shared ones and their own
+ * @param {Object} activity - Catalog record
+ * @param {string} [userId]
+ * @returns {boolean}
+ */
+function isVisibleTo(activity, userId) {
+    return !activity.ownerId || activity.ownerId === userId;
+}
+
+/**
+ * Whether a user can change an activity: their own, or shared ones for administrators
+ * @param {Object} activity - Catalog record
+ * @param {Object} user - The signed-in user
+ * @returns {boolean}
+ */
+function canEdit(activity, user) {
+    return activity.ownerId ? activity.ownerId === user.id : user.role === 'admin';
+}
+
+/**
+ * Score a record against the search terms; every term must appear in the name or description
+ * @returns {number} - 0 when a term is missing
+ */
+function scoreActivity(activity, terms) {
+    const name = normalizeText(activity.activity);
+    const description = normalizeText(activity.description);
+    let score = 0;
+    for (const term of terms) {
+        if (name.includes(term)) {
+            score += name.split(/[^a-z0-9]+/).includes(term) ? 10 : 5;
+        } else if (description.includes(term)) {
+            score += 1;
+        } else {
+            return 0;
+        }
+    }
+    return score;
+}
+
+function toSummary({ score, ...activity }, full) {
+    const result = { ...activity, shared: !activity.ownerId };
+    if (!full) {
+        const description = activity.description || '';
+        result.description = description.length > EXCERPT_LENGTH
+            ? `${description.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`
+            : description;
+        delete result.translations;
+    }
+    return result;
+}
+
+/**
+ * An activity's name and description in a document language, each falling
+ * back to the English catalog text when it has no translation
+ * @param {Object} activity - Catalog record
+ * @param {string} language - Language code
+ * @returns {{activity: string, description: string}}
+ */
+function localizeActivity(activity, language) {
+    const translation = (activity.translations || {})[language] || {};
+    return {
+        activity: translation.activity || activity.activity,
+        description: translation.description || activity.description || ''
+    };
+}
+
+// Keep the languages that have some text, trimmed
+function normalizeTranslations(translations, fieldPath, errors) {
+    const result = {};
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) return result;
+    for (const [code, translation] of Object.entries(translations)) {
+        if (!TRANSLATION_LANGUAGES.includes(code)) {
+            errors.push({ path: `${fieldPath}.${code}`, message: `is not one of: ${TRANSLATION_LANGUAGES.join(', ')}` });
+            continue;
+        }
+        const activity = String((translation && translation.activity) || '').trim();
+        const description = String((translation && translation.description) || '').trim();
+        if (activity || description) result[code] = { activity, description };
+    }
+    return result;
+}
+
+/**
+ * Parse a non-negative number query parameter
+ * @returns {number|undefined}
+ */
+function parseNumber(value, fieldPath, errors, { min = 0, max = Infinity, integer = false } = {}) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+        errors.push({
+            path: fieldPath,
+            message: `must be ${integer ? 'a whole number' : 'a number'} from ${min}${max === Infinity ? ' up' : ` to ${max}`}`
+        });
+        return undefined;
+    }
+    return number;
+}
+
+/**
+ * Search the activities a user can see
+ * @param {string} userId - The signed-in user
+ * @param {Object} [query] - Query string parameters
+ * @param {string} [query.q] - Words to find in the name or description
+ * @param {string} [query.city] - Place named in the activity, or its city field
+ * @param {string} [query.minPrice] - Lowest price per traveller (LKR)
+ * @param {string} [query.maxPrice] - Highest price per traveller (LKR)
+ * @param {string} [query.scope='all'] - 'all', 'shared' or 'mine'
+ * @param {string} [query.sort] - A key of SORTS, prefix "-" for descending; relevance when searching, else activity
+ * @param {string} [query.page=1]
+ * @param {string} [query.limit=20] - At most 100
+ * @param {string} [query.full] - 'true' to return whole descriptions and their translations instead of excerpts
+ * @returns {Promise<{activities: Array<Object>, total: number, page: number, limit: number, pages: number}>}
+ * @throws {ActivityError} - 400 for invalid parameters
+ */
+async function listActivities(userId, query = {}) {
+    const errors = [];
+    const terms = normalizeText(query.q).split(' ').filter(Boolean);
+    const city = normalizeText(query.city);
+    const minPrice = parseNumber(query.minPrice, 'minPrice', errors);
+    const maxPrice = parseNumber(query.maxPrice, 'maxPrice', errors);
+    const page = parseNumber(query.page, 'page', errors, { min: 1, integer: true }) || 1;
+    const limit = parseNumber(query.limit, 'limit', errors, { min: 1, max: MAX_PAGE_SIZE, integer: true }) || DEFAULT_PAGE_SIZE;
+    const scope = query.scope || 'all';
+    const sort = query.sort || (terms.length > 0 ? 'relevance' : 'activity');
+
+    if (!['all', 'shared', 'mine'].includes(scope)) {
+        errors.push({ path: 'scope', message: 'must be one of: all, shared, mine' });
+    }
+    if (!SORTS[sort] || (sort === 'relevance' && terms.length === 0)) {
+        errors.push({ path: 'sort', message: `must be one of: ${Object.keys(SORTS).join(', ')} (relevance needs q)` });
+    }
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+        errors.push({ path: 'minPrice', message: 'must not be more than maxPrice' });
+    }
+    if (errors.length > 0) {
+        throw new ActivityError('Invalid activity search', 400, errors);
+    }
+
+    const all = await storage.files.activities.read();
+    const matches = all
+        .filter(activity => isVisibleTo(activity, userId))
+        .filter(activity => scope === 'all' || (scope === 'mine') === Boolean(activity.ownerId))
+        .filter(activity => !city ||
+            normalizeText(activity.city) === city ||
+            normalizeText(activity.activity).split(/\s*[,-]\s*|\s+and\s+/).some(place => place.includes(city)))
+        .filter(activity => minPrice === undefined || priceOf(activity) >= minPrice)
+        .filter(activity => maxPrice === undefined || priceOf(activity) <= maxPrice)
+        .map(activity => ({ ...activity, score: terms.length > 0 ? scoreActivity(activity, terms) : 0 }))
+        .filter(activity => terms.length === 0 || activity.score > 0)
+        .sort(SORTS[sort]);
+
+    const full = query.full === 'true';
+    return {
+        activities: matches.slice((page - 1) * limit, page * limit).map(activity => toSummary(activity, full)),
+        total: matches.length,
+        page,
+        limit,
+        pages: Math.ceil(matches.length / limit)
+    };
+}
+
+/**
+ * @param {string} id - Activity ID
+ * @param {string} userId - The signed-in user
+ * @returns {Promise<Object|null>} - null if missing or owned by another company
+ */
+async function getActivity(id, userId) {
+    const all = await storage.files.activities.read();
+    const activity = all.find(entry => entry.id === id);
+    return activity && isVisibleTo(activity, userId) ? toSummary(activity, true) : null;
+}
+
+/**
+ * Validate an activity and, when new or renamed, check its name is free among those its owner can see
+ * @param {Object} input - Editable fields
+ * @param {Array<Object>} all - Every catalog record
+ * @param {string|null} ownerId - Owner of the activity, null for shared ones
+ * @param {string} [ignoreId] - The record being updated
+ * @param {Set<string>} [photoIds] - Photos the activity may show: the user's own and those it already shows
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, value: Object}}
+ */
+function validateActivity(input, all, ownerId, ignoreId = null, photoIds = new Set()) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ path: '', message: 'activity must be an object' }], value: input };
+    }
+
+    const errors = [];
+    const picked = Object.fromEntries(EDITABLE_FIELDS.filter(key => key in input).map(key => [key, input[key]]));
+    const checked = validateNode(activitySchema, picked, '', errors);
+    const value = {
+        activity: String(checked.activity || '').trim(),
+        description: String(checked.description || '').trim(),
+        price: String(checked.price),
+        city: String(checked.city || '').trim(),
+        translations: normalizeTranslations(checked.translations, 'translations', errors),
+        photos: photos.toPhotoList(checked.photos)
+    };
+    value.photos.forEach((photo, index) => {
+        if (!photoIds.has(photo.id)) {
+            errors.push({ path: `photos[${index}].id`, message: `"${photo.id}" is not one of your photos` });
+        }
+    });
+
+    const current = ignoreId ? all.find(entry => entry.id === ignoreId) : null;
+    const renamed = !current || normalizeText(current.activity) !== normalizeText(value.activity);
+    if (errors.length === 0 && renamed) {
+        // A shared activity must not clash with anyone's; a company's only with what it sees
+        const duplicate = all.find(entry => entry.id !== ignoreId &&
+            (!ownerId || isVisibleTo(entry, ownerId)) &&
+            normalizeText(entry.activity) === normalizeText(value.activity));
+        if (duplicate) {
+            errors.push({ path: 'activity', message: `"${value.activity}" is already in the catalog` });
+        }
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Add an activity owned by the user's company, or a shared one
+ * @param {Object} input - Editable fields
+ * @param {Object} user - The signed-in user
+ * @param {Object} [options]
+ * @param {boolean} [options.shared=false] - Add to the shared catalog (administrators only)
+ * @returns {Promise<Object>} - The new activity
+ * @throws {ActivityError} - 400 when invalid, 403 when sharing without being an administrator
+ */
+async function createActivity(input, user, { shared = false } = {}) {
+    if (shared && user.role !== 'admin') {
+        throw new ActivityError('Only administrators can add shared activities', 403);
+    }
+
+    const ownerId = shared ? null : user.id;
+    const photoIds = new Set((await photos.listPhotos(user.id)).map(record => record.id));
+    return storage.files.activities.update((all) => {
+        const { valid, errors, value } = validateActivity(input, all, ownerId, null, photoIds);
+        if (!valid) {
+            throw new ActivityError('Activity validation failed', 400, errors);
+        }
+
+        const now = new Date().toISOString();
+        const activity = {
+            id: crypto.randomUUID(),
+            ...value,
+            ownerId,
+            createdAt: now,
+            updatedAt: now
+        };
+        all.push(activity);
+        return toSummary(activity, true);
+    });
+}
+
+/**
+ * Change an activity; fields left out keep their value. Itineraries pick
+ * activities by name, so one they use keeps its name.
+ * @param {string} id - Activity ID
+ * @param {Object} changes - Editable fields
+ * @param {Object} user - The signed-in user
+ * @returns {Promise<Object|null>} - The updated activity, null if not found
+ * @throws {ActivityError} - 400 when invalid, 403 when the user may not change it, 409 when renaming one in use
+ */
+async function updateActivity(id, changes, user) {
+    const ownPhotoIds = (await photos.listPhotos(user.id)).map(record => record.id);
+    return storage.files.activities.update(async (all) => {
+        const activity = all.find(entry => entry.id === id);
+        if (!activity || !isVisibleTo(activity, user.id)) return null;
+        if (!canEdit(activity, user)) {
+            throw new ActivityError('Shared activities can only be changed by administrators', 403);
+        }
+
+        const photoIds = new Set([...ownPhotoIds, ...photos.toPhotoList(activity.photos).map(photo => photo.id)]);
+        const { valid, errors, value } = validateActivity({ ...activity, ...changes }, all, activity.ownerId || null, id, photoIds);
+        if (!valid) {
+            throw new ActivityError('Activity validation failed', 400, errors);
+        }
+
+        if (normalizeText(value.activity) !== normalizeText(activity.activity)) {
+            const references = await findActivityReferences(activity);
+            if (references.length > 0) {
+                const error = new ActivityError(`Used by ${references.length} itinerar${references.length === 1 ? 'y' : 'ies'}, so it cannot be renamed`, 409);
+                error.itineraryIds = references;
+                throw error;
+            }
+        }
+
+        Object.assign(activity, value, { updatedAt: new Date().toISOString() });
+        return toSummary(activity, true);
+    });
+}
+
+/**
+ * Itineraries that use an activity by name, now or in a revision they can be restored to:
+ * the owner's for a company activity, everyone's for a shared one
+ * @param {Object} activity - Catalog record
+ * @returns {Promise<Array<string>>} - Itinerary IDs
+ */
+async function findActivityReferences(activity) {
+    const all = await storage.files.itineraries.read();
+    const name = normalizeText(activity.activity);
+    const usesActivity = data => ((data && data.dailyPlans) || [])
+        .some(day => day && day.activity !== 'custom' && normalizeText(day.activity) === name);
+
+    const candidates = new Set();
+    const references = [];
+    for (const [userId, itineraries] of Object.entries(all)) {
+        if (activity.ownerId && activity.ownerId !== userId) continue;
+        for (const itinerary of Object.values(itineraries || {})) {
+            candidates.add(itinerary.id);
+            if (usesActivity(itinerary.data)) references.push(itinerary.id);
+        }
+    }
+    const restorable = await revisions.findItinerariesWithRevision((data, itineraryId) =>
+        candidates.has(itineraryId) && usesActivity(data));
+    return [...new Set([...references, ...restorable])];
+}
+
+/**
+ * Delete an activity no itinerary uses
+ * @param {string} id - Activity ID
+ * @param {Object} user - The signed-in user
+ * @returns {Promise<boolean>} - false if not found
+ * @throws {ActivityError} - 403 when the user may not delete it, 409 while itineraries use it
+ */
+function deleteActivity(id, user) {
+    return storage.files.activities.update(async (all) => {
+        const index = all.findIndex(entry => entry.id === id);
+        const activity = all[index];
+        if (!activity || !isVisibleTo(activity, user.id)) return false;
+        if (!canEdit(activity, user)) {
+            throw new ActivityError('Shared activities can only be deleted by administrators', 403);
+        }
+
+        const references = await findActivityReferences(activity);
+        if (references.length > 0) {
+            const error = new ActivityError(`Used by ${references.length} itinerar${references.length === 1 ? 'y' : 'ies'}`, 409);
+            error.itineraryIds = references;
+            throw error;
+        }
+
+        all.splice(index, 1);
+        return true;
+    });
+}
+
+module.exports = {
+    activitySchema,
+    ActivityError,
+    isVisibleTo,
+    localizeActivity,
+    listActivities,
+    getActivity,
+    createActivity,
+    updateActivity,
+    deleteActivity
+};
@@ -3,15 +3,46 @@ const path = require('path');
 const fs = require('fs').promises;
 const app = express();
 const PORT = process.env.PORT || 3333;
-const eveloDB = require('evelodb');
-const db = new eveloDB();
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const multer = require('multer');
 const engine = require('./engine');
+const { ConversionError } = require('./docx2pdf');
+const generationJobs = require('./jobs');
+const {
+    issueToken,
+    revokeToken,
+    loadRevokedTokens,
+    requireAuth: createAuthMiddleware,
+    requireAdmin,
+    hashPassword,
+    verifyPassword,
+    signDownloadUrl,
+    verifyDownloadUrl
+} = require('./auth');
+const migratePasswords = require('./migratePasswords');
+const migrateHotels = require('./migrateHotels');
+const migrateCoverImages = require('./migrateCoverImages');
+const { requestReset, verifyResetCode } = require('./passwordReset');
+const revisions = require('./revisions');
+const quotation = require('./quotation');
+const currency = require('./currency');
+const { MAX_DAYS, validateItinerary, assertValidItinerary, ValidationError } = require('./itinerarySchema');
+const storage = require('./storage');
+const retention = require('./retention');
+const templates = require('./templates');
+const hotels = require('./hotels');
+const activities = require('./activities');
+const cities = require('./cities');
+const distances = require('./distances');
+const i18n = require('./i18n');
+const { renderTemplatePreview } = require('./templatePreview');
+const coverImages = require('./coverImages');
+const photos = require('./photos');
+const imageStore = require('./imageStore');
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
+const uploadStorage = multer.diskStorage({
     destination: function (req, file, cb) {
         const dir = path.join(__dirname, 'db', 'img', 'pp');
         fs.mkdir(dir, { recursive: true }).then(() => cb(null, dir));
@@ -31,7 +62,7 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({ 
-    storage: storage,
+    storage: uploadStorage,
     limits: {
         fileSize: 5 * 1024 * 1024, // 5MB
         files: 2 // Maximum 2 files (profilePic and companyLogo)
@@ -49,6 +80,42 @@ const upload = multer({
     { name: 'companyLogo', maxCount: 1 }
 ]);
 
+// Document templates are validated before they touch the disk, so keep them in memory
+const templateUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.docx') {
+            cb(null, true);
+        } else {
+            cb(new Error('Only .docx templates are allowed'));
+        }
+    }
+}).single('template');
+
+// Cover images and day photos are processed with sharp before they are stored, so keep them in memory too
+function imageUpload(field) {
+    return multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: imageStore.MAX_UPLOAD_BYTES,
+            files: 1
+        },
+        fileFilter: (req, file, cb) => {
+            if (Object.values(imageStore.ACCEPTED_FORMATS).includes(file.mimetype)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Only image files are allowed (JPEG, PNG, WebP)'));
+            }
+        }
+    }).single(field);
+}
+const coverImageUpload = imageUpload('image');
+const photoUpload = imageUpload('photo');
+
 // Middleware
 app.use(bodyParser.json());
 app.use(express.json());
@@ -67,11 +134,28 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.static(path.join(__dirname, 'public', 'dist')));
 
+// Resolves req.user from the session token
+const requireAuth = createAuthMiddleware(userId => storage.users.findById(userId));
+
 // Helper functions
 function generateUserId() {
     return `user_${Date.now()}`;
 }
 
+function generateItineraryId() {
+    return `itin_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Keep users.noOfItineraries in step with created, duplicated and deleted itineraries
+async function adjustItineraryCount(userId, delta) {
+    try {
+        await storage.users.adjustItineraryCount(userId, delta);
+    } catch (error) {
+        console.error('Error updating user itinerary count:', error);
+        // Not critical, continue
+    }
+}
+
 function validateEmail(email) {
     const re = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return re.test(String(email).toLowerCase());
@@ -86,79 +170,417 @@ function validateURL(url) {
     }
 }
 
+/**
+ * Load an itinerary and make sure it belongs to the current user.
+ * Sends the error response itself and returns null when it does not.
+ */
+async function loadOwnedItinerary(req, res, itineraryId) {
+    const itinerary = await storage.itineraries.findById(itineraryId);
+    if (!itinerary) {
+        res.status(404).json({
+            error: 'Itinerary not found',
+            details: `No itinerary with ID ${itineraryId}`
+        });
+        return null;
+    }
+    if (itinerary.userId !== req.user.id) {
+        res.status(403).json({
+            error: 'Access denied',
+            details: 'This itinerary belongs to another account'
+        });
+        return null;
+    }
+    return itinerary;
+}
+
 // API endpoints
-app.get('/api/data/users.json', async (req, res) => {
+// Only ever returns the signed-in user, kept as an array for older clients
+app.get('/api/data/users.json', requireAuth, (req, res) => {
+    res.json([req.user]);
+});
+
+app.get('/api/me', requireAuth, (req, res) => {
+    res.json({ ...req.user, success: true });
+});
+
+// Cities with district, province, coordinates and Sinhala/Tamil names: ?district=, ?province= (id or name)
+app.get('/api/cities', requireAuth, (req, res) => {
+    try {
+        const results = cities.listCities({ district: req.query.district, province: req.query.province });
+        res.json({ success: true, count: results.length, cities: results });
+    } catch (error) {
+        console.error('Error listing cities:', error);
+        res.status(500).json({ 
+            error: 'Failed to load cities',
+            details: error.message 
+        });
+    }
+});
+
+// Suggestions for a partly typed place name: ?q=, ?limit=, ?district=
+app.get('/api/cities/autocomplete', requireAuth, (req, res) => {
     try {
-        const data = await fs.readFile(path.join(__dirname, 'evelodatabase', 'users.json'), 'utf8');
-        const users = JSON.parse(data);
-        res.json(users);
+        if (!req.query.q || !String(req.query.q).trim()) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [{ path: 'q', message: 'is required' }] 
+            });
+        }
+
+        const suggestions = cities.autocompleteCities(req.query.q, {
+            limit: req.query.limit,
+            district: req.query.district
+        });
+        res.json({ success: true, count: suggestions.length, cities: suggestions });
     } catch (error) {
-        console.error('Error reading users.json:', error);
-        res.status(500).json({ error: 'Failed to load user data' });
+        console.error('Error suggesting cities:', error);
+        res.status(500).json({ 
+            error: 'Failed to suggest cities',
+            details: error.message 
+        });
     }
 });
 
-app.get('/api/data/activity.json', async (req, res) => {
+app.get('/api/districts', requireAuth, (req, res) => {
     try {
-        const data = await fs.readFile(path.join(__dirname, 'db', 'activityData.json'), 'utf8');
-        const activity = JSON.parse(data);
-        res.json(activity);
+        const { provinces } = cities.loadDistricts();
+        res.json({ success: true, districts: cities.listDistricts(), provinces: [...provinces.values()] });
     } catch (error) {
-        console.error('Error reading activity.json:', error);
-        res.status(500).json({ error: 'Failed to load activity data' });
+        console.error('Error listing districts:', error);
+        res.status(500).json({ 
+            error: 'Failed to load districts',
+            details: error.message 
+        });
     }
 });
 
-app.get('/api/data/hotels.json', async (req, res) => {
+// Answer an ActivityError with its status, anything else with a 500
+function sendActivityError(res, error, action) {
+    if (error instanceof activities.ActivityError) {
+        const titles = { 400: 'Validation failed', 403: 'Access denied', 409: 'Activity is in use' };
+        const body = { error: titles[error.status], details: error.status === 400 ? error.errors : error.message };
+        if (error.itineraryIds) body.itineraryIds = error.itineraryIds;
+        return res.status(error.status).json(body);
+    }
+    console.error(`Failed to ${action}:`, error);
+    res.status(500).json({ 
+        error: `Failed to ${action}`,
+        details: error.message 
+    });
+}
+
+// Search shared and own activities: ?q=, ?city=, ?minPrice=, ?maxPrice=, ?scope=, ?sort=, ?page=, ?limit=, ?full=
+app.get('/api/activities', requireAuth, async (req, res) => {
     try {
-        const data = await fs.readFile(path.join(__dirname, 'db', 'hotelData.json'), 'utf8');
-        const hotel = JSON.parse(data);
-        res.json(hotel);
+        const result = await activities.listActivities(req.user.id, req.query);
+        res.json({ success: true, ...result });
     } catch (error) {
-        console.error('Error reading hotel.json:', error);
-        res.status(500).json({ error: 'Failed to load hotel data' });
+        sendActivityError(res, error, 'search activities');
     }
 });
 
-app.get('/api/data/cities.sql', async (req, res) => {
+app.get('/api/activities/:id', requireAuth, async (req, res) => {
     try {
-        const filePath = path.join(__dirname, 'db', 'gh', 'cities.sql');
-        const data = await fs.readFile(filePath, 'utf8');
-        
-        res.setHeader('Content-Type', 'text/plain'); // or 'application/sql'
-        res.send(data); // sends raw SQL text
+        const activity = await activities.getActivity(req.params.id, req.user.id);
+        if (!activity) {
+            return res.status(404).json({ 
+                error: 'Activity not found',
+                details: `No activity with ID ${req.params.id}` 
+            });
+        }
+
+        res.json({ success: true, activity });
+    } catch (error) {
+        sendActivityError(res, error, 'load activity');
+    }
+});
+
+// Add an activity for the company; administrators may pass "shared": true
+app.post('/api/activities', requireAuth, async (req, res) => {
+    try {
+        const { shared, ...input } = req.body || {};
+        const activity = await activities.createActivity(input, req.user, { shared: shared === true });
+        res.status(201).json({ success: true, message: 'Activity added successfully', activity });
+    } catch (error) {
+        sendActivityError(res, error, 'add activity');
+    }
+});
+
+app.patch('/api/activities/:id', requireAuth, async (req, res) => {
+    try {
+        const activity = await activities.updateActivity(req.params.id, req.body || {}, req.user);
+        if (!activity) {
+            return res.status(404).json({ 
+                error: 'Activity not found',
+                details: `No activity with ID ${req.params.id}` 
+            });
+        }
+
+        res.json({ success: true, message: 'Activity updated successfully', activity });
+    } catch (error) {
+        sendActivityError(res, error, 'update activity');
+    }
+});
+
+// Activities still used by an itinerary cannot be deleted
+app.delete('/api/activities/:id', requireAuth, async (req, res) => {
+    try {
+        if (!await activities.deleteActivity(req.params.id, req.user)) {
+            return res.status(404).json({ 
+                error: 'Activity not found',
+                details: `No activity with ID ${req.params.id}` 
+            });
+        }
+
+        res.json({ success: true, message: 'Activity deleted successfully' });
+    } catch (error) {
+        sendActivityError(res, error, 'delete activity');
+    }
+});
+
+// Answer a HotelError with its status, anything else with a 500
+function sendHotelError(res, error, action) {
+    if (error instanceof hotels.HotelError) {
+        const titles = { 400: 'Validation failed', 403: 'Access denied', 409: 'Hotel is in use' };
+        const body = { error: titles[error.status], details: error.status === 400 ? error.errors : error.message };
+        if (error.itineraryIds) body.itineraryIds = error.itineraryIds;
+        return res.status(error.status).json(body);
+    }
+    console.error(`Failed to ${action}:`, error);
+    res.status(500).json({ 
+        error: `Failed to ${action}`,
+        details: error.message 
+    });
+}
+
+// Search the hotel catalog: ?q=, ?city=, ?type=, ?minStars=
+app.get('/api/hotels', requireAuth, async (req, res) => {
+    try {
+        const { q, city, type } = req.query;
+        const minStars = req.query.minStars !== undefined ? parseInt(req.query.minStars, 10) : undefined;
+        if (minStars !== undefined && !(minStars >= 1 && minStars <= 5)) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [{ path: 'minStars', message: 'must be a whole number from 1 to 5' }] 
+            });
+        }
+
+        const results = await hotels.listHotels({ q, city, type, minStars });
+        res.json({ success: true, count: results.length, hotels: results });
     } catch (error) {
-        console.error('Error sending SQL file:', error);
-        res.status(500).send('Internal Server Error');
+        console.error('Error listing hotels:', error);
+        res.status(500).json({ 
+            error: 'Failed to load hotels',
+            details: error.message 
+        });
+    }
+});
+
+app.get('/api/hotels/:id', requireAuth, async (req, res) => {
+    try {
+        const hotel = await hotels.getHotel(req.params.id);
+        if (!hotel) {
+            return res.status(404).json({ 
+                error: 'Hotel not found',
+                details: `No hotel with ID ${req.params.id}` 
+            });
+        }
+
+        res.json({ success: true, hotel });
+    } catch (error) {
+        console.error('Error loading hotel:', error);
+        res.status(500).json({ 
+            error: 'Failed to load hotel',
+            details: error.message 
+        });
+    }
+});
+
+// The catalog is shared by every company (administrators only)
+app.post('/api/hotels', requireAuth, async (req, res) => {
+    try {
+        const hotel = await hotels.createHotel(req.body, req.user);
+        res.status(201).json({ success: true, message: 'Hotel added successfully', hotel });
+    } catch (error) {
+        sendHotelError(res, error, 'add hotel');
     }
 });
 
+// PUT replaces every field, PATCH only the fields sent (administrators only)
+async function updateHotel(req, res, replace) {
+    try {
+        const hotel = await hotels.updateHotel(req.params.id, req.body, req.user, { replace });
+        if (!hotel) {
+            return res.status(404).json({ 
+                error: 'Hotel not found',
+                details: `No hotel with ID ${req.params.id}` 
+            });
+        }
+
+        res.json({ success: true, message: 'Hotel updated successfully', hotel });
+    } catch (error) {
+        sendHotelError(res, error, 'update hotel');
+    }
+}
+
+app.put('/api/hotels/:id', requireAuth, (req, res) => updateHotel(req, res, true));
+app.patch('/api/hotels/:id', requireAuth, (req, res) => updateHotel(req, res, false));
+
+// Hotels still picked by an itinerary cannot be deleted (administrators only)
+app.delete('/api/hotels/:id', requireAuth, async (req, res) => {
+    try {
+        if (!await hotels.deleteHotel(req.params.id, req.user)) {
+            return res.status(404).json({ 
+                error: 'Hotel not found',
+                details: `No hotel with ID ${req.params.id}` 
+            });
+        }
 
+        res.json({ success: true, message: 'Hotel deleted successfully' });
+    } catch (error) {
+        sendHotelError(res, error, 'delete hotel');
+    }
+});
 
 //======================
 app.post('/api/login', async (req, res) => {
     const { username, password } = req.body;
     try {
-        const user = db.findOne('users', { username, password });
-        if (!user) {
+        const user = username ? await storage.users.findByUsername(username) : null;
+        // Unknown users are checked against a dummy hash, so timing does not reveal usernames
+        if (!await verifyPassword(password, user && user.password)) {
             return res.status(401).json({ success: false, error: 'Invalid username or password' });
         }
         
         // Update last login timestamp
-        const updatedUser = db.update('users', user.id, { 
-            ...user,
+        const updatedUser = await storage.users.update(user.id, { 
             lastLogin: new Date().toISOString()
         });
         
         // Remove sensitive data before sending
         const { password: _, ...userData } = updatedUser;
-        res.json({ ...userData, success: true });
+        const { token, expiresAt } = issueToken(user.id, user.tokenVersion);
+        res.json({ ...userData, token, expiresAt, success: true });
     } catch (error) {
         console.error('Error during login:', error);
         res.status(500).json({ error: 'Failed to process login' });
     }
 });
 
+app.post('/api/logout', requireAuth, async (req, res) => {
+    try {
+        await revokeToken(req.session);
+        res.json({ success: true, message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Error during logout:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+app.post('/api/change-password', requireAuth, async (req, res) => {
+    const { oldPassword, newPassword } = req.body;
+    try {
+        if (!newPassword || newPassword.length < 6) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: ['Password must be at least 6 characters'] 
+            });
+        }
+
+        const user = await storage.users.findById(req.user.id);
+        if (!user || !await verifyPassword(oldPassword, user.password)) {
+            return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+        }
+
+        // Every other session ends; this one continues with a fresh token
+        const updatedUser = await storage.users.update(user.id, {
+            password: await hashPassword(newPassword),
+            tokenVersion: user.tokenVersion + 1
+        });
+        const { token, expiresAt } = issueToken(user.id, updatedUser.tokenVersion);
+
+        res.json({ success: true, message: 'Password changed successfully', token, expiresAt });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// Same answer whether or not the account exists, so usernames cannot be probed
+const RESET_REQUESTED_MESSAGE = 'If the account exists, a reset code has been sent to its registered phone or email';
+
+app.post('/api/password-reset/request', async (req, res) => {
+    const { username, channel } = req.body;
+    try {
+        if (!username) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: ['Username is required'] 
+            });
+        }
+        if (channel && !['phone', 'email'].includes(channel)) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: ['Channel must be "phone" or "email"'] 
+            });
+        }
+
+        const user = await storage.users.findByUsername(username);
+        if (user) {
+            // A failed send is only logged, so the answer stays the same as for unknown users
+            try {
+                await requestReset(user, channel);
+            } catch (error) {
+                console.error('Error sending password reset code:', error);
+            }
+        }
+
+        res.json({ success: true, message: RESET_REQUESTED_MESSAGE });
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+        res.status(500).json({ error: 'Failed to send reset code' });
+    }
+});
+
+app.post('/api/password-reset/confirm', async (req, res) => {
+    const { username, code, newPassword } = req.body;
+    try {
+        if (!username || !code) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: ['Username and code are required'] 
+            });
+        }
+        if (!newPassword || newPassword.length < 6) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: ['Password must be at least 6 characters'] 
+            });
+        }
+
+        const user = await storage.users.findByUsername(username);
+        const result = user ? await verifyResetCode(user, code) : { valid: false, reason: 'NO_CODE' };
+        if (!result.valid) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Invalid or expired reset code',
+                reason: result.reason,
+                attemptsLeft: result.attemptsLeft
+            });
+        }
+
+        await storage.users.update(user.id, {
+            password: await hashPassword(newPassword),
+            tokenVersion: user.tokenVersion + 1
+        });
+
+        res.json({ success: true, message: 'Password reset successfully' });
+    } catch (error) {
+        console.error('Error confirming password reset:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
 app.post('/api/register', (req, res) => {
     upload(req, res, async (err) => {
         if (err) {
@@ -203,7 +625,7 @@ app.post('/api/register', (req, res) => {
 
         // Check if user exists
         try {
-            const existingUser = db.findOne('users', { username });
+            const existingUser = await storage.users.findByUsername(username);
             if (existingUser) {
                 return res.status(400).json({ error: 'Username already exists' });
             }
@@ -223,7 +645,7 @@ app.post('/api/register', (req, res) => {
 const user = {
     id: generateUserId(),
     username,
-    password,
+    password: await hashPassword(password),
     fullName,
     profilePic: profilePicUrl,
     plan: 'Basic',
@@ -241,8 +663,11 @@ const user = {
     // Removed isActive since it's not needed
 };
 
-            // Save to database
-            const result = db.create('users', user);
+            // Save to database; create() refuses a username registered in the meantime
+            const result = await storage.users.create(user);
+            if (!result) {
+                return res.status(400).json({ error: 'Username already exists' });
+            }
             
             // Return response without password
             const { password: _, ...userResponse } = user;
@@ -265,28 +690,36 @@ const user = {
 app.use('/img/pp', express.static(path.join(__dirname, 'db', 'img', 'pp')));
 
 // Add this endpoint to your existing Express app
-app.post('/api/generate', async (req, res) => {
+app.post('/api/generate', requireAuth, async (req, res) => {
     try {
-        // Get userId from request query or local storage (passed from frontend)
-        const { userId } = req.query;
-        if (!userId) {
-            return res.status(400).json({ 
-                error: 'User ID is required',
-                details: 'Please provide a valid user ID' 
+        // Itineraries are always saved for the signed-in user
+        const userId = req.user.id;
+        if (req.query.userId && req.query.userId !== userId) {
+            return res.status(403).json({ 
+                error: 'Access denied',
+                details: 'Cannot save itineraries for another account' 
             });
         }
 
         // Get the itinerary data from request body
-        const itineraryData = req.body;
-        if (!itineraryData) {
+        if (!req.body) {
             return res.status(400).json({ 
                 error: 'Itinerary data is required',
                 details: 'Please provide valid itinerary data' 
             });
         }
 
+        const validation = await validateItinerary(req.body, { userId });
+        if (!validation.valid) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: validation.errors 
+            });
+        }
+        const itineraryData = validation.value;
+
         // Generate unique ID for this itinerary
-        const itineraryId = `itin_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const itineraryId = generateItineraryId();
         const timestamp = new Date().toISOString();
 
         // Create the itinerary object
@@ -296,53 +729,15 @@ app.post('/api/generate', async (req, res) => {
             timestamp,
             data: itineraryData,
             lastModified: timestamp,
-            status: 'active'
+            status: 'active',
+            quote: await quotation.quoteItinerary(itineraryData, userId)
         };
 
-        // Load existing itineraries
-        let itineraries = {};
-        try {
-            const data = await fs.readFile(path.join(__dirname, 'evelodatabase', 'itineraries.json'), 'utf8');
-            itineraries = JSON.parse(data);
-        } catch (error) {
-            if (error.code !== 'ENOENT') {
-                throw error;
-            }
-            // File doesn't exist yet, we'll create it
-        }
-
-        // Initialize user's itineraries if not exists
-        if (!itineraries[userId]) {
-            itineraries[userId] = {};
-        }
-
         // Add the new itinerary
-        itineraries[userId][itineraryId] = itinerary;
-
-        // Save back to file
-        await fs.writeFile(
-            path.join(__dirname, 'evelodatabase', 'itineraries.json'),
-            JSON.stringify(itineraries, null, 2),
-            'utf8'
-        );
+        itinerary.revision = await revisions.recordRevision(itinerary, req.user, 'create');
+        await storage.itineraries.create(itinerary);
 
-        // Update user's itinerary count
-        try {
-            const usersData = await fs.readFile(path.join(__dirname, 'evelodatabase', 'users.json'), 'utf8');
-            const users = JSON.parse(usersData);
-            
-            if (users[userId]) {
-                users[userId].noOfItineraries = (users[userId].noOfItineraries || 0) + 1;
-                await fs.writeFile(
-                    path.join(__dirname, 'evelodatabase', 'users.json'),
-                    JSON.stringify(users, null, 2),
-                    'utf8'
-                );
-            }
-        } catch (error) {
-            console.error('Error updating user itinerary count:', error);
-            // Not critical, continue
-        }
+        await adjustItineraryCount(userId, 1);
 
         res.status(201).json({
             success: true,
@@ -361,25 +756,25 @@ app.post('/api/generate', async (req, res) => {
 });
 
 // Add this endpoint to get user's itineraries
-app.get('/api/itineraries', async (req, res) => {
+app.get('/api/itineraries', requireAuth, async (req, res) => {
     try {
-        const { userId } = req.query;
-        if (!userId) {
-            return res.status(400).json({ 
-                error: 'User ID is required',
-                details: 'Please provide a valid user ID' 
+        const userId = req.user.id;
+        if (req.query.userId && req.query.userId !== userId) {
+            return res.status(403).json({ 
+                error: 'Access denied',
+                details: 'Cannot list itineraries of another account' 
             });
         }
 
-        const data = await fs.readFile(path.join(__dirname, 'evelodatabase', 'itineraries.json'), 'utf8');
-        const allItineraries = JSON.parse(data);
-        
-        const userItineraries = allItineraries[userId] || {};
+        const userItineraries = await storage.itineraries.listByUser(userId);
+
+        // Archived itineraries are hidden unless asked for (?status=archived or ?status=all)
+        const status = req.query.status || 'active';
         
         // Convert to array and sort by timestamp (newest first)
-        const itinerariesArray = Object.values(userItineraries).sort((a, b) => 
-            new Date(b.timestamp) - new Date(a.timestamp)
-        );
+        const itinerariesArray = userItineraries
+            .filter(itinerary => status === 'all' || (itinerary.status || 'active') === status)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
         res.json({
             success: true,
@@ -396,54 +791,543 @@ app.get('/api/itineraries', async (req, res) => {
     }
 });
 
-// Add these routes before the 404 handler
+app.get('/api/itineraries/:id', requireAuth, async (req, res) => {
+    try {
+        const itinerary = await loadOwnedItinerary(req, res, req.params.id);
+        if (!itinerary) return;
+
+        res.json({ success: true, itinerary });
+    } catch (error) {
+        console.error('Error fetching itinerary:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch itinerary',
+            details: error.message 
+        });
+    }
+});
+
+/**
+ * Apply a change to one of the current user's itineraries and save it.
+ * Any generated PDF/DOCX is removed because it no longer matches the data.
+ * @param {Function} change - async (itinerary) => void, mutates the stored record;
+ *   throwing leaves the itinerary unchanged
+ * @param {Object} [options]
+ * @param {string} [options.action] - Record a revision with this action (for data changes)
+ * @param {Object} [options.details] - Extra fields for the revision
+ * @param {Object} [options.savedQuote] - Quote whose exchange rate the new quote keeps (see quotation.quoteItinerary)
+ */
+async function updateOwnedItinerary(req, res, change, { action = null, details = {}, savedQuote = null } = {}) {
+    if (!await loadOwnedItinerary(req, res, req.params.id)) return null;
+
+    const itinerary = await storage.itineraries.update(req.params.id, async (record) => {
+        const previous = JSON.parse(JSON.stringify(record));
 
-// Process and download itinerary
-app.post('/api/download/', async (req, res) => {
+        await change(record);
+        record.lastModified = new Date().toISOString();
+        if (action) {
+            record.quote = await quotation.quoteItinerary(record.data, record.userId, { savedQuote });
+            record.revision = await revisions.recordRevision(record, req.user, action, { previous, details });
+        }
+    });
+    // Deleted between the ownership check and the update
+    if (!itinerary) {
+        res.status(404).json({
+            error: 'Itinerary not found',
+            details: `No itinerary with ID ${req.params.id}`
+        });
+        return null;
+    }
+    await engine.invalidateDocuments(itinerary.id);
+
+    return itinerary;
+}
+
+// Replace the whole itinerary data
+app.put('/api/itineraries/:id', requireAuth, async (req, res) => {
     try {
-        const { itineraryId } = req.body;
-        
-        if (!itineraryId) {
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
             return res.status(400).json({ 
-                error: 'Itinerary ID is required',
-                details: 'Please provide a valid itinerary ID' 
+                error: 'Itinerary data is required',
+                details: 'Please provide valid itinerary data' 
             });
         }
 
-        // Process the itinerary
-        const result = await engine.processItinerary(itineraryId);
-        
-        res.json({
-            success: true,
-            message: 'Itinerary processed successfully',
-            itineraryPath: `/document/${path.basename(result.documentPath)}` // Now returns PDF path
-        });
+        const itinerary = await updateOwnedItinerary(req, res, async (record) => {
+            record.data = await assertValidItinerary(req.body, { userId: req.user.id });
+        }, { action: 'update' });
+        if (!itinerary) return;
 
+        res.json({ success: true, message: 'Itinerary updated successfully', itinerary });
     } catch (error) {
-        console.error('Error processing itinerary:', error);
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: 'Validation failed', details: error.errors });
+        }
+        console.error('Error updating itinerary:', error);
         res.status(500).json({ 
-            error: 'Failed to process itinerary',
+            error: 'Failed to update itinerary',
             details: error.message 
         });
     }
 });
 
-// Serve generated documents (both DOCX and PDF)
-app.get('/document/:filename', async (req, res) => {
+// Update only the given top-level fields of the itinerary data
+app.patch('/api/itineraries/:id', requireAuth, async (req, res) => {
     try {
-        const { filename } = req.params;
-        const filePath = path.join(__dirname, 'db', 'temp', 'tempStore', filename);
-        
-        // Check if file exists using promise-based fs
-        try {
-            await fs.access(filePath);
-        } catch (err) {
-            if (err.code === 'ENOENT') {
-                return res.status(404).json({ 
-                    error: 'File not found',
-                    details: 'The requested document does not exist or has expired' 
-                });
-            }
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ 
+                error: 'Itinerary data is required',
+                details: 'Please provide the fields to update' 
+            });
+        }
+
+        const itinerary = await updateOwnedItinerary(req, res, async (record) => {
+            record.data = await assertValidItinerary({ ...record.data, ...req.body }, { userId: req.user.id });
+        }, { action: 'update' });
+        if (!itinerary) return;
+
+        res.json({ success: true, message: 'Itinerary updated successfully', itinerary });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: 'Validation failed', details: error.errors });
+        }
+        console.error('Error updating itinerary:', error);
+        res.status(500).json({ 
+            error: 'Failed to update itinerary',
+            details: error.message 
+        });
+    }
+});
+
+app.delete('/api/itineraries/:id', requireAuth, async (req, res) => {
+    try {
+        if (!await loadOwnedItinerary(req, res, req.params.id)) return;
+
+        await storage.itineraries.remove(req.params.id);
+
+        await engine.invalidateDocuments(req.params.id, { includeScreenshot: true });
+        await revisions.deleteRevisions(req.params.id);
+        await adjustItineraryCount(req.user.id, -1);
+
+        res.json({ success: true, message: 'Itinerary deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting itinerary:', error);
+        res.status(500).json({ 
+            error: 'Failed to delete itinerary',
+            details: error.message 
+        });
+    }
+});
+
+app.post('/api/itineraries/:id/archive', requireAuth, async (req, res) => {
+    try {
+        const itinerary = await updateOwnedItinerary(req, res, (record) => {
+            record.status = 'archived';
+        });
+        if (!itinerary) return;
+
+        res.json({ success: true, message: 'Itinerary archived successfully', itinerary });
+    } catch (error) {
+        console.error('Error archiving itinerary:', error);
+        res.status(500).json({ 
+            error: 'Failed to archive itinerary',
+            details: error.message 
+        });
+    }
+});
+
+app.post('/api/itineraries/:id/unarchive', requireAuth, async (req, res) => {
+    try {
+        const itinerary = await updateOwnedItinerary(req, res, (record) => {
+            record.status = 'active';
+        });
+        if (!itinerary) return;
+
+        res.json({ success: true, message: 'Itinerary restored successfully', itinerary });
+    } catch (error) {
+        console.error('Error restoring itinerary:', error);
+        res.status(500).json({ 
+            error: 'Failed to restore itinerary',
+            details: error.message 
+        });
+    }
+});
+
+app.post('/api/itineraries/:id/duplicate', requireAuth, async (req, res) => {
+    try {
+        const source = await loadOwnedItinerary(req, res, req.params.id);
+        if (!source) return;
+
+        const itineraryId = generateItineraryId();
+        const timestamp = new Date().toISOString();
+        const data = JSON.parse(JSON.stringify(source.data));
+        data.itineraryName = req.body?.itineraryName || `${data.itineraryName || 'Itinerary'} (Copy)`;
+
+        const itinerary = {
+            id: itineraryId,
+            userId: req.user.id,
+            timestamp,
+            data,
+            lastModified: timestamp,
+            status: 'active',
+            duplicatedFrom: source.id,
+            quote: await quotation.quoteItinerary(data, req.user.id)
+        };
+
+        itinerary.revision = await revisions.recordRevision(itinerary, req.user, 'duplicate', {
+            details: { duplicatedFrom: source.id }
+        });
+
+        await storage.itineraries.create(itinerary);
+
+        await adjustItineraryCount(req.user.id, 1);
+
+        res.status(201).json({
+            success: true,
+            message: 'Itinerary duplicated successfully',
+            itineraryId,
+            timestamp,
+            itinerary
+        });
+    } catch (error) {
+        console.error('Error duplicating itinerary:', error);
+        res.status(500).json({ 
+            error: 'Failed to duplicate itinerary',
+            details: error.message 
+        });
+    }
+});
+
+app.get('/api/itineraries/:id/revisions', requireAuth, async (req, res) => {
+    try {
+        if (!await loadOwnedItinerary(req, res, req.params.id)) return;
+
+        const history = await revisions.listRevisions(req.params.id);
+        res.json({ success: true, count: history.length, revisions: history });
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch revisions',
+            details: error.message 
+        });
+    }
+});
+
+app.get('/api/itineraries/:id/revisions/:revision', requireAuth, async (req, res) => {
+    try {
+        if (!await loadOwnedItinerary(req, res, req.params.id)) return;
+
+        const revision = await revisions.getRevision(req.params.id, req.params.revision);
+        if (!revision) {
+            return res.status(404).json({ 
+                error: 'Revision not found',
+                details: `Itinerary ${req.params.id} has no revision ${req.params.revision}` 
+            });
+        }
+
+        res.json({ success: true, revision });
+    } catch (error) {
+        console.error('Error fetching revision:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch revision',
+            details: error.message 
+        });
+    }
+});
+
+// Compare two revisions (?from=1&to=3); defaults to the latest against the one before
+app.get('/api/itineraries/:id/diff', requireAuth, async (req, res) => {
+    try {
+        if (!await loadOwnedItinerary(req, res, req.params.id)) return;
+
+        const history = await revisions.listRevisions(req.params.id, { includeData: true });
+        const to = Number(req.query.to) || history.length;
+        const from = Number(req.query.from) || to - 1;
+        const before = history.find(entry => entry.revision === from);
+        const after = history.find(entry => entry.revision === to);
+
+        if (!before || !after) {
+            return res.status(404).json({ 
+                error: 'Revision not found',
+                details: `Cannot compare revision ${from} with revision ${to}` 
+            });
+        }
+
+        res.json({
+            success: true,
+            from,
+            to,
+            ...revisions.diffItineraryData(before.data, after.data)
+        });
+    } catch (error) {
+        console.error('Error comparing revisions:', error);
+        res.status(500).json({ 
+            error: 'Failed to compare revisions',
+            details: error.message 
+        });
+    }
+});
+
+app.post('/api/itineraries/:id/revisions/:revision/restore', requireAuth, async (req, res) => {
+    try {
+        if (!await loadOwnedItinerary(req, res, req.params.id)) return;
+
+        const revision = await revisions.getRevision(req.params.id, req.params.revision);
+        if (!revision) {
+            return res.status(404).json({ 
+                error: 'Revision not found',
+                details: `Itinerary ${req.params.id} has no revision ${req.params.revision}` 
+            });
+        }
+
+        // Restoring adds a new revision on top of the old one. The old data is
+        // checked like any edit, since the catalog may have changed since then.
+        const itinerary = await updateOwnedItinerary(req, res, async (record) => {
+            record.data = await assertValidItinerary(revision.data, { userId: req.user.id });
+        }, { action: 'restore', details: { restoredFrom: revision.revision }, savedQuote: revision.quote });
+        if (!itinerary) return;
+
+        res.json({ success: true, message: `Itinerary restored to revision ${revision.revision}`, itinerary });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: 'Validation failed', details: error.errors });
+        }
+        console.error('Error restoring revision:', error);
+        res.status(500).json({ 
+            error: 'Failed to restore revision',
+            details: error.message 
+        });
+    }
+});
+
+// Add these routes before the 404 handler
+
+// Queue document generation; progress is read from /api/jobs/:jobId
+app.post('/api/download/', requireAuth, async (req, res) => {
+    try {
+        const { itineraryId } = req.body;
+        
+        if (!itineraryId) {
+            return res.status(400).json({ 
+                error: 'Itinerary ID is required',
+                details: 'Please provide a valid itinerary ID' 
+            });
+        }
+
+        const itinerary = await loadOwnedItinerary(req, res, itineraryId);
+        if (!itinerary) return;
+
+        // Validates the data too, so a job that is bound to fail is never queued
+        const cached = await engine.findCachedDocument(itinerary.id);
+        if (cached) {
+            return res.json({
+                success: true,
+                message: 'Itinerary is unchanged, returning the existing document',
+                cached: true,
+                itineraryPath: signDownloadUrl(path.basename(cached.documentPath), req.user.id).url,
+                docxPath: signDownloadUrl(path.basename(cached.docxPath), req.user.id).url,
+                conversion: cached.conversion
+            });
+        }
+
+        const job = await generationJobs.enqueue(itinerary);
+
+        res.status(202).json({
+            success: true,
+            message: 'Itinerary generation queued',
+            jobId: job.id,
+            job: presentJob(job),
+            statusUrl: `/api/jobs/${job.id}`,
+            eventsUrl: `/api/jobs/${job.id}/events`
+        });
+
+    } catch (error) {
+        console.error('Error queuing itinerary generation:', error);
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ 
+                error: 'Itinerary data is invalid',
+                details: error.errors 
+            });
+        }
+        res.status(500).json({ 
+            error: 'Failed to queue itinerary generation',
+            details: error.message 
+        });
+    }
+});
+
+/**
+ * Add signed download links to a job's files for its owner
+ * @param {Object} job - The job record
+ * @returns {Object} - The job with result.downloadUrl / result.docxUrl and error.docxUrl
+ */
+function presentJob(job) {
+    const link = filename => filename ? signDownloadUrl(filename, job.userId) : null;
+    const presented = { ...job };
+
+    if (job.result) {
+        const download = link(job.result.documentFile);
+        presented.result = {
+            ...job.result,
+            downloadUrl: download.url,
+            docxUrl: link(job.result.docxFile).url,
+            linkExpiresAt: download.expiresAt
+        };
+    }
+    if (job.error) {
+        presented.error = { ...job.error, docxUrl: job.error.docxFile ? link(job.error.docxFile).url : null };
+    }
+    return presented;
+}
+
+/**
+ * Load a generation job and check it belongs to the signed-in user.
+ * Sends the 404/403 response itself and returns null when access is not allowed.
+ * @param {Object} req - Express request (with req.user)
+ * @param {Object} res - Express response
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|null>} - The job record
+ */
+async function loadOwnedJob(req, res, jobId) {
+    const job = await generationJobs.get(jobId);
+    if (!job) {
+        res.status(404).json({
+            error: 'Job not found',
+            details: `No generation job with ID ${jobId}`
+        });
+        return null;
+    }
+    if (job.userId !== req.user.id) {
+        res.status(403).json({
+            error: 'Access denied',
+            details: 'This job belongs to another account'
+        });
+        return null;
+    }
+    return job;
+}
+
+// Poll the status of a generation job
+app.get('/api/jobs/:jobId', requireAuth, async (req, res) => {
+    try {
+        const job = await loadOwnedJob(req, res, req.params.jobId);
+        if (!job) return;
+
+        res.json({ success: true, job: presentJob(job) });
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch job',
+            details: error.message 
+        });
+    }
+});
+
+// Stream job updates as Server-Sent Events; read with fetch, as EventSource cannot send the Authorization header
+app.get('/api/jobs/:jobId/events', requireAuth, async (req, res) => {
+    try {
+        const job = await loadOwnedJob(req, res, req.params.jobId);
+        if (!job) return;
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const isFinished = record => record.status === 'completed' || record.status === 'failed';
+
+        const onUpdate = (update) => {
+            if (update.id !== job.id) return;
+            send('progress', presentJob(update));
+            if (isFinished(update)) {
+                send('done', presentJob(update));
+                res.end();
+            }
+        };
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+        generationJobs.on('update', onUpdate);
+        res.on('close', () => {
+            clearInterval(keepAlive);
+            generationJobs.off('update', onUpdate);
+        });
+
+        // Re-read the job once subscribed so an update in between is not lost
+        onUpdate(await generationJobs.get(job.id));
+    } catch (error) {
+        console.error('Error streaming job events:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ 
+                error: 'Failed to stream job events',
+                details: error.message 
+            });
+        }
+        res.end();
+    }
+});
+
+// Queue a failed job again
+app.post('/api/jobs/:jobId/retry', requireAuth, async (req, res) => {
+    try {
+        const job = await loadOwnedJob(req, res, req.params.jobId);
+        if (!job) return;
+
+        const retried = await generationJobs.retry(job.id);
+        if (!retried) {
+            return res.status(409).json({
+                error: 'Job cannot be retried',
+                details: `Only failed jobs can be retried; this job is ${job.status}`
+            });
+        }
+
+        res.status(202).json({ success: true, message: 'Job queued again', job: presentJob(retried) });
+    } catch (error) {
+        console.error('Error retrying job:', error);
+        res.status(500).json({ 
+            error: 'Failed to retry job',
+            details: error.message 
+        });
+    }
+});
+
+// Serve generated documents (both DOCX and PDF) through signed links from signDownloadUrl
+app.get('/document/:filename', async (req, res) => {
+    try {
+        const filename = path.basename(req.params.filename);
+
+        const userId = verifyDownloadUrl(filename, req.query);
+        if (!userId) {
+            return res.status(403).json({
+                error: 'Invalid or expired download link',
+                details: 'Request a new link for this document'
+            });
+        }
+
+        // Documents are named after their itinerary (itin_<id>.pdf / .docx);
+        // the link only works while its user still owns the itinerary
+        const itineraryId = path.basename(filename, path.extname(filename));
+        const itinerary = await storage.itineraries.findById(itineraryId);
+        if (!itinerary || itinerary.userId !== userId) {
+            return res.status(404).json({ 
+                error: 'File not found',
+                details: 'The requested document does not exist or has expired' 
+            });
+        }
+
+        const filePath = path.join(__dirname, 'db', 'temp', 'tempStore', filename);
+        
+        // Check if file exists using promise-based fs
+        try {
+            await fs.access(filePath);
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return res.status(404).json({ 
+                    error: 'File not found',
+                    details: 'The requested document does not exist or has expired' 
+                });
+            }
             throw err;
         }
         
@@ -485,25 +1369,738 @@ app.get('/document/:filename', async (req, res) => {
     }
 });
 
-// Handle 404 - Not Found
-app.use((req, res) => {
-    res.status(404).json({ 
-        error: 'Not Found',
-        message: 'The requested resource was not found' 
-    });
-});
+// Price quote of an itinerary; ?refresh=true reprices it with the current settings and catalogs
+app.get('/api/itineraries/:id/quote', requireAuth, async (req, res) => {
+    try {
+        const itinerary = await loadOwnedItinerary(req, res, req.params.id);
+        if (!itinerary) return;
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Server error:', err.stack);
-    res.status(500).json({ 
-        error: 'Internal Server Error',
-        message: 'Something went wrong on our end' 
-    });
+        let quote = itinerary.quote;
+        if (!quote || req.query.refresh === 'true') {
+            const data = await assertValidItinerary(itinerary.data, { userId: req.user.id });
+            quote = await quotation.quoteItinerary(data, req.user.id);
+            await storage.itineraries.update(itinerary.id, (record) => {
+                record.quote = quote;
+            });
+        }
+
+        res.json({ success: true, quote });
+    } catch (error) {
+        console.error('Error quoting itinerary:', error);
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ 
+                error: 'Itinerary data is invalid',
+                details: error.errors 
+            });
+        }
+        res.status(500).json({ 
+            error: 'Failed to quote itinerary',
+            details: error.message 
+        });
+    }
 });
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
-    //console.log('Upload directory:', path.join(__dirname, 'db', 'img', 'pp'));
+// Estimated drive of each day, with days over MAX_DAILY_DRIVE_HOURS flagged
+app.get('/api/itineraries/:id/drives', requireAuth, async (req, res) => {
+    try {
+        const itinerary = await loadOwnedItinerary(req, res, req.params.id);
+        if (!itinerary) return;
+
+        const drives = distances.computeDrives(itinerary.data.dailyPlans || []);
+        res.json({ success: true, settings: distances.DRIVE_SETTINGS, ...drives });
+    } catch (error) {
+        console.error('Error estimating drives:', error);
+        res.status(500).json({ 
+            error: 'Failed to estimate drives',
+            details: error.message 
+        });
+    }
+});
+
+// Parse ?keepFirst=false / ?keepLast=false (or the same fields in a body)
+function readPinOptions(source) {
+    return {
+        keepFirst: String(source.keepFirst) !== 'false',
+        keepLast: String(source.keepLast) !== 'false'
+    };
+}
+
+// Suggested order of the days of a saved itinerary; nothing is changed until the agent saves it
+app.get('/api/itineraries/:id/route-suggestion', requireAuth, async (req, res) => {
+    try {
+        const itinerary = await loadOwnedItinerary(req, res, req.params.id);
+        if (!itinerary) return;
+
+        const suggestion = distances.suggestDayOrder(itinerary.data.dailyPlans || [], readPinOptions(req.query));
+        res.json({ success: true, suggestion });
+    } catch (error) {
+        console.error('Error suggesting a route:', error);
+        res.status(500).json({ 
+            error: 'Failed to suggest a route',
+            details: error.message 
+        });
+    }
+});
+
+// Same for itinerary data that is not saved yet: { dailyPlans, keepFirst?, keepLast? }
+app.post('/api/route-suggestion', requireAuth, (req, res) => {
+    try {
+        const { dailyPlans } = req.body || {};
+        if (!Array.isArray(dailyPlans) || dailyPlans.length === 0) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [{ path: 'dailyPlans', message: 'must contain at least 1 item(s)' }] 
+            });
+        }
+        // The search grows with the cube of the days and runs on the event loop
+        if (dailyPlans.length > MAX_DAYS) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [{ path: 'dailyPlans', message: `must contain at most ${MAX_DAYS} item(s)` }] 
+            });
+        }
+        const invalid = dailyPlans.findIndex(day => !day || typeof day !== 'object' || typeof day.place !== 'string');
+        if (invalid !== -1) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [{ path: `dailyPlans[${invalid}].place`, message: 'is required' }] 
+            });
+        }
+
+        const suggestion = distances.suggestDayOrder(dailyPlans, readPinOptions(req.body));
+        res.json({ success: true, suggestion });
+    } catch (error) {
+        console.error('Error suggesting a route:', error);
+        res.status(500).json({ 
+            error: 'Failed to suggest a route',
+            details: error.message 
+        });
+    }
+});
+
+// The company's pricing settings, with defaults filled in
+app.get('/api/pricing', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        pricing: quotation.resolvePricingSettings(req.user.pricing),
+        overrides: req.user.pricing || {}
+    });
+});
+
+// Replace the company's pricing overrides; fields left out use the defaults
+app.put('/api/pricing', requireAuth, async (req, res) => {
+    try {
+        const overrides = req.body || {};
+        const errors = quotation.validatePricingSettings(overrides);
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: errors 
+            });
+        }
+
+        await storage.users.update(req.user.id, { pricing: overrides });
+
+        res.json({
+            success: true,
+            message: 'Pricing updated successfully',
+            pricing: quotation.resolvePricingSettings(overrides)
+        });
+    } catch (error) {
+        console.error('Error updating pricing:', error);
+        res.status(500).json({ 
+            error: 'Failed to update pricing',
+            details: error.message 
+        });
+    }
+});
+
+// List the signed-in company's document templates
+app.get('/api/templates', requireAuth, async (req, res) => {
+    try {
+        const list = await templates.listTemplates(req.user.id);
+        res.json({
+            success: true,
+            count: list.length,
+            // Used when no template is marked as default
+            builtInDefault: !list.some(template => template.isDefault),
+            templates: list
+        });
+    } catch (error) {
+        console.error('Error listing templates:', error);
+        res.status(500).json({ 
+            error: 'Failed to list templates',
+            details: error.message 
+        });
+    }
+});
+
+/**
+ * Read the optional language of a template from a request body
+ * @param {*} value - '' or null for a template used in any language
+ * @returns {{language?: string|null, error?: Object}} - language undefined when not given
+ */
+function readTemplateLanguage(value) {
+    if (value === undefined) return {};
+    if (value === null || value === '') return { language: null };
+    if (typeof value !== 'string' || !i18n.LANGUAGES[value]) {
+        return { error: { path: 'language', message: `must be one of: ${Object.keys(i18n.LANGUAGES).join(', ')}` } };
+    }
+    return { language: value };
+}
+
+// Document languages itineraries and templates can use
+app.get('/api/languages', (req, res) => {
+    res.json({
+        success: true,
+        defaultLanguage: i18n.DEFAULT_LANGUAGE,
+        languages: Object.entries(i18n.LANGUAGES).map(([code, { name, locale }]) => ({ code, name, locale }))
+    });
+});
+
+// Upload a .docx template (multipart field "template", optional "name", "isDefault" and "language")
+app.post('/api/templates', requireAuth, (req, res) => {
+    templateUpload(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ 
+                error: 'File upload error',
+                details: err.message 
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({ 
+                error: 'Template file is required',
+                details: 'Send the .docx file in the "template" field' 
+            });
+        }
+
+        const { language, error: languageError } = readTemplateLanguage(req.body.language);
+        if (languageError) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [languageError] 
+            });
+        }
+
+        try {
+            const name = (req.body.name || path.basename(req.file.originalname, path.extname(req.file.originalname))).trim();
+            const template = await templates.addTemplate(req.user.id, {
+                buffer: req.file.buffer,
+                name,
+                originalName: req.file.originalname,
+                isDefault: req.body.isDefault === true || req.body.isDefault === 'true',
+                language
+            });
+
+            res.status(201).json({ success: true, message: 'Template uploaded successfully', template });
+        } catch (error) {
+            if (error instanceof templates.TemplateValidationError) {
+                return res.status(400).json({ 
+                    error: 'Template is invalid',
+                    details: error.errors,
+                    warnings: error.warnings 
+                });
+            }
+            console.error('Error uploading template:', error);
+            res.status(500).json({ 
+                error: 'Failed to upload template',
+                details: error.message 
+            });
+        }
+    });
+});
+
+/**
+ * Read the template a lint/preview request is about: an uploaded file in the
+ * "template" field, or one of the user's stored templates by templateId.
+ * Sends the error response itself and returns null when there is none.
+ * @param {Object} req - Express request, after templateUpload
+ * @param {Object} res - Express response
+ * @returns {Promise<Buffer|null>}
+ */
+async function readTemplateInput(req, res) {
+    if (req.file) return req.file.buffer;
+
+    const templateId = (req.body && req.body.templateId) || req.query.templateId;
+    if (!templateId) {
+        res.status(400).json({ 
+            error: 'Template is required',
+            details: 'Upload a .docx file in the "template" field or pass a templateId' 
+        });
+        return null;
+    }
+
+    const buffer = await templates.readTemplateFile(req.user.id, templateId);
+    if (!buffer) {
+        res.status(404).json({ 
+            error: 'Template not found',
+            details: `No template with ID ${templateId}` 
+        });
+    }
+    return buffer;
+}
+
+// Report every tag, loop and image in a template and what is wrong with them
+app.post('/api/templates/lint', requireAuth, (req, res) => {
+    templateUpload(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ 
+                error: 'File upload error',
+                details: err.message 
+            });
+        }
+
+        try {
+            const buffer = await readTemplateInput(req, res);
+            if (!buffer) return;
+
+            res.json({ success: true, ...templates.lintTemplate(buffer) });
+        } catch (error) {
+            console.error('Error linting template:', error);
+            res.status(500).json({ 
+                error: 'Failed to lint template',
+                details: error.message 
+            });
+        }
+    });
+});
+
+// Render a template with sample data; ?format=pdf converts it like a real itinerary, ?language=de translates the labels
+app.post('/api/templates/preview', requireAuth, (req, res) => {
+    templateUpload(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ 
+                error: 'File upload error',
+                details: err.message 
+            });
+        }
+
+        try {
+            const buffer = await readTemplateInput(req, res);
+            if (!buffer) return;
+
+            const lint = templates.lintTemplate(buffer);
+            if (!lint.valid) {
+                return res.status(400).json({ 
+                    error: 'Template is invalid',
+                    details: lint.errors,
+                    warnings: lint.warnings 
+                });
+            }
+
+            const preview = await renderTemplatePreview(buffer, {
+                format: req.query.format === 'pdf' ? 'pdf' : 'docx',
+                language: i18n.resolveLanguage(req.query.language)
+            });
+            res.setHeader('Content-Type', preview.format === 'pdf'
+                ? 'application/pdf'
+                : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+            res.setHeader('Content-Disposition', `attachment; filename=template-preview.${preview.format}`);
+            res.send(preview.buffer);
+        } catch (error) {
+            const templateErrors = templates.describeTemplateError(error);
+            if (templateErrors) {
+                return res.status(400).json({ 
+                    error: 'Template failed to render',
+                    details: templateErrors 
+                });
+            }
+            if (error instanceof ConversionError) {
+                return res.status(error.code === 'TIMEOUT' ? 504 : 502).json({
+                    error: 'Failed to convert preview to PDF',
+                    details: error.message,
+                    code: error.code
+                });
+            }
+            res.status(500).json({ 
+                error: 'Failed to render template preview',
+                details: error.message 
+            });
+        }
+    });
+});
+
+// Rename a template, set its language or make it the default for that language
+// ({ isDefault: false } falls back to the built-in one)
+app.patch('/api/templates/:templateId', requireAuth, async (req, res) => {
+    try {
+        const { name, isDefault } = req.body || {};
+        const { language, error: languageError } = readTemplateLanguage((req.body || {}).language);
+        if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [{ path: 'name', message: 'must not be empty' }] 
+            });
+        }
+        if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [{ path: 'isDefault', message: 'must be true or false' }] 
+            });
+        }
+        if (languageError) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: [languageError] 
+            });
+        }
+
+        const template = await templates.updateTemplate(req.user.id, req.params.templateId, {
+            name: name === undefined ? undefined : name.trim(),
+            isDefault,
+            language
+        });
+        if (!template) {
+            return res.status(404).json({ 
+                error: 'Template not found',
+                details: `No template with ID ${req.params.templateId}` 
+            });
+        }
+
+        res.json({ success: true, message: 'Template updated successfully', template });
+    } catch (error) {
+        console.error('Error updating template:', error);
+        res.status(500).json({ 
+            error: 'Failed to update template',
+            details: error.message 
+        });
+    }
+});
+
+// Delete a template no itinerary chose
+app.delete('/api/templates/:templateId', requireAuth, async (req, res) => {
+    try {
+        if (!await templates.deleteTemplate(req.user.id, req.params.templateId)) {
+            return res.status(404).json({ 
+                error: 'Template not found',
+                details: `No template with ID ${req.params.templateId}` 
+            });
+        }
+
+        res.json({ success: true, message: 'Template deleted successfully' });
+    } catch (error) {
+        if (error instanceof templates.TemplateInUseError) {
+            return res.status(409).json({ 
+                error: 'Template is in use',
+                details: error.message,
+                itineraryIds: error.itineraryIds 
+            });
+        }
+        console.error('Error deleting template:', error);
+        res.status(500).json({ 
+            error: 'Failed to delete template',
+            details: error.message 
+        });
+    }
+});
+
+// Answer a CoverImageError with its status, anything else with a 500
+function sendCoverImageError(res, error, action) {
+    if (error instanceof coverImages.CoverImageError) {
+        const titles = { 400: 'Image is invalid', 409: 'Cover image is in use' };
+        const body = { error: titles[error.status], details: error.message };
+        if (error.itineraryIds) body.itineraryIds = error.itineraryIds;
+        return res.status(error.status).json(body);
+    }
+    console.error(`Failed to ${action}:`, error);
+    res.status(500).json({ 
+        error: `Failed to ${action}`,
+        details: error.message 
+    });
+}
+
+// List the signed-in company's cover images
+app.get('/api/cover-images', requireAuth, async (req, res) => {
+    try {
+        const list = await coverImages.listCoverImages(req.user.id);
+        res.json({ success: true, count: list.length, coverImages: list });
+    } catch (error) {
+        sendCoverImageError(res, error, 'list cover images');
+    }
+});
+
+// Upload a cover image (multipart field "image"); it is cropped to the cover
+// slot and its ID goes in the itinerary's customImage
+app.post('/api/cover-images', requireAuth, (req, res) => {
+    coverImageUpload(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ 
+                error: 'File upload error',
+                details: err.message 
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({ 
+                error: 'Image file is required',
+                details: 'Send the image in the "image" field' 
+            });
+        }
+
+        try {
+            const coverImage = await coverImages.addCoverImage(req.user.id, {
+                buffer: req.file.buffer,
+                originalName: req.file.originalname
+            });
+            res.status(201).json({ success: true, message: 'Cover image uploaded successfully', coverImage });
+        } catch (error) {
+            sendCoverImageError(res, error, 'upload cover image');
+        }
+    });
+});
+
+// The cropped image, for previews in the editor
+app.get('/api/cover-images/:id', requireAuth, async (req, res) => {
+    try {
+        if (!await coverImages.getCoverImage(req.user.id, req.params.id)) {
+            return res.status(404).json({ 
+                error: 'Cover image not found',
+                details: `No cover image with ID ${req.params.id}` 
+            });
+        }
+
+        res.type('image/jpeg');
+        res.sendFile(coverImages.coverImagePath(req.params.id));
+    } catch (error) {
+        sendCoverImageError(res, error, 'load cover image');
+    }
+});
+
+// Cover images still used by an itinerary cannot be deleted
+app.delete('/api/cover-images/:id', requireAuth, async (req, res) => {
+    try {
+        if (!await coverImages.deleteCoverImage(req.user.id, req.params.id)) {
+            return res.status(404).json({ 
+                error: 'Cover image not found',
+                details: `No cover image with ID ${req.params.id}` 
+            });
+        }
+
+        res.json({ success: true, message: 'Cover image deleted successfully' });
+    } catch (error) {
+        sendCoverImageError(res, error, 'delete cover image');
+    }
+});
+
+// Answer a PhotoError with its status, anything else with a 500
+function sendPhotoError(res, error, action) {
+    if (error instanceof photos.PhotoError) {
+        const titles = { 400: 'Image is invalid', 409: 'Photo is in use' };
+        const body = { error: titles[error.status], details: error.message };
+        if (error.itineraryIds) body.itineraryIds = error.itineraryIds;
+        if (error.activityIds) body.activityIds = error.activityIds;
+        return res.status(error.status).json(body);
+    }
+    console.error(`Failed to ${action}:`, error);
+    res.status(500).json({ 
+        error: `Failed to ${action}`,
+        details: error.message 
+    });
+}
+
+// List the signed-in company's photos
+app.get('/api/photos', requireAuth, async (req, res) => {
+    try {
+        const list = await photos.listPhotos(req.user.id);
+        res.json({ success: true, count: list.length, photos: list });
+    } catch (error) {
+        sendPhotoError(res, error, 'list photos');
+    }
+});
+
+// Upload a photo (multipart field "photo"). Days and catalog activities show it
+// by listing its ID in their photos, each with a caption.
+app.post('/api/photos', requireAuth, (req, res) => {
+    photoUpload(req, res, async (err) => {
+        if (err) {
+            return res.status(400).json({ 
+                error: 'File upload error',
+                details: err.message 
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({ 
+                error: 'Image file is required',
+                details: 'Send the image in the "photo" field' 
+            });
+        }
+
+        try {
+            const photo = await photos.addPhoto(req.user.id, {
+                buffer: req.file.buffer,
+                originalName: req.file.originalname
+            });
+            res.status(201).json({ success: true, message: 'Photo uploaded successfully', photo });
+        } catch (error) {
+            sendPhotoError(res, error, 'upload photo');
+        }
+    });
+});
+
+// The stored photo, for the editor; photos of shared activities are visible to everyone
+app.get('/api/photos/:id', requireAuth, async (req, res) => {
+    try {
+        if (!photos.isPhotoId(req.params.id) || !await photos.canViewPhoto(req.user.id, req.params.id)) {
+            return res.status(404).json({ 
+                error: 'Photo not found',
+                details: `No photo with ID ${req.params.id}` 
+            });
+        }
+
+        res.type('image/jpeg');
+        res.sendFile(photos.photoPath(req.params.id));
+    } catch (error) {
+        sendPhotoError(res, error, 'load photo');
+    }
+});
+
+// Photos still shown by an itinerary or activity cannot be deleted
+app.delete('/api/photos/:id', requireAuth, async (req, res) => {
+    try {
+        if (!await photos.deletePhoto(req.user.id, req.params.id)) {
+            return res.status(404).json({ 
+                error: 'Photo not found',
+                details: `No photo with ID ${req.params.id}` 
+            });
+        }
+
+        res.json({ success: true, message: 'Photo deleted successfully' });
+    } catch (error) {
+        sendPhotoError(res, error, 'delete photo');
+    }
+});
+
+// Storage usage per user (administrators only)
+app.get('/api/admin/storage', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const report = await retention.storageUsage();
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('Error computing storage usage:', error);
+        res.status(500).json({ 
+            error: 'Failed to compute storage usage',
+            details: error.message 
+        });
+    }
+});
+
+// Run the retention sweep now; ?dryRun=true only lists what would be removed
+app.post('/api/admin/storage/sweep', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const result = await retention.sweepStorage({ dryRun: req.query.dryRun === 'true' });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error sweeping storage:', error);
+        res.status(500).json({ 
+            error: 'Failed to sweep storage',
+            details: error.message 
+        });
+    }
+});
+
+// Quote currencies with the rate in force today, and the snapshot history
+app.get('/api/exchange-rates', requireAuth, async (req, res) => {
+    try {
+        const current = {};
+        for (const code of Object.keys(currency.CURRENCIES)) {
+            if (code !== currency.BASE_CURRENCY) {
+                current[code] = await currency.getRate(code);
+            }
+        }
+
+        res.json({
+            success: true,
+            baseCurrency: currency.BASE_CURRENCY,
+            currencies: Object.keys(currency.CURRENCIES),
+            current,
+            snapshots: await currency.listRateSnapshots()
+        });
+    } catch (error) {
+        console.error('Error listing exchange rates:', error);
+        res.status(500).json({ 
+            error: 'Failed to list exchange rates',
+            details: error.message 
+        });
+    }
+});
+
+// Add a rate snapshot (administrators only); quotes saved earlier, and their documents, keep the rate they used
+app.post('/api/admin/exchange-rates', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const errors = currency.validateRateSnapshot(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ 
+                error: 'Validation failed',
+                details: errors 
+            });
+        }
+
+        const snapshot = await currency.addRateSnapshot(req.body, req.user);
+        res.status(201).json({
+            success: true,
+            message: 'Exchange rates added successfully',
+            snapshot
+        });
+    } catch (error) {
+        console.error('Error adding exchange rates:', error);
+        res.status(500).json({ 
+            error: 'Failed to add exchange rates',
+            details: error.message 
+        });
+    }
+});
+
+// Remove a rate snapshot entered by mistake (administrators only); not while saved quotes use it
+app.delete('/api/admin/exchange-rates/:id', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        if (!await currency.deleteRateSnapshot(req.params.id)) {
+            return res.status(404).json({ 
+                error: 'Exchange rate snapshot not found',
+                details: `No snapshot with ID ${req.params.id}` 
+            });
+        }
+
+        res.json({ success: true, message: 'Exchange rates deleted successfully' });
+    } catch (error) {
+        if (error instanceof currency.RateSnapshotError) {
+            return res.status(error.status).json({ 
+                error: 'Exchange rate snapshot is in use',
+                details: error.message,
+                itineraryIds: error.itineraryIds 
+            });
+        }
+        console.error('Error deleting exchange rates:', error);
+        res.status(500).json({ 
+            error: 'Failed to delete exchange rates',
+            details: error.message 
+        });
+    }
+});
+
+// Handle 404 - Not Found
+app.use((req, res) => {
+    res.status(404).json({ 
+        error: 'Not Found',
+        message: 'The requested resource was not found' 
+    });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    console.error('Server error:', err.stack);
+    res.status(500).json({ 
+        error: 'Internal Server Error',
+        message: 'Something went wrong on our end' 
+    });
+});
+
+// Start the server once no plaintext passwords, packed hotel entries or data URL covers are left
+migratePasswords().then(() => loadRevokedTokens()).then(() => migrateHotels()).then(() => migrateCoverImages()).then(() => generationJobs.start()).then(() => {
+    retention.scheduleSweeps();
+    app.listen(PORT, () => {
+        console.log(`Server is running on http://localhost:${PORT}`);
+        //console.log('Upload directory:', path.join(__dirname, 'db', 'img', 'pp'));
+    });
+}).catch((error) => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
 });
\ No newline at end of file
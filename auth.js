@@ -0,0 +1,300 @@
+// auth.js
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const { JsonFile } = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters for new hashes; stored with each hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+// Checked when there is no stored hash (unknown user), so a miss costs as much as a wrong password
+const DUMMY_PASSWORD_HASH = [
+    'scrypt', SCRYPT_PARAMS.N, SCRYPT_PARAMS.r, SCRYPT_PARAMS.p,
+    crypto.randomBytes(16).toString('base64'),
+    Buffer.alloc(SCRYPT_PARAMS.keylen).toString('base64')
+].join(':');
+
+const TOKEN_TTL_MS = (parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const DOWNLOAD_LINK_TTL_MS = (parseFloat(process.env.DOWNLOAD_LINK_TTL_MINUTES) || 60) * 60 * 1000;
+
+let secret = process.env.AUTH_SECRET;
+if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('AUTH_SECRET is not set, using a random secret. Sessions will not survive a restart.');
+}
+
+// Token ids revoked by logout, kept until the token would have expired anyway.
+// Checked in memory; the file keeps logouts across restarts.
+const revokedTokens = new Map();
+const revokedTokensFile = new JsonFile(path.join(__dirname, 'evelodatabase', 'revokedTokens.json'), () => ({}));
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function pruneRevokedTokens(revoked) {
+    const now = Date.now();
+    for (const [jti, exp] of Object.entries(revoked)) {
+        if (exp <= now) delete revoked[jti];
+    }
+}
+
+/**
+ * Load the logouts recorded before the last restart; call once at startup
+ * @returns {Promise<number>} - Number of tokens still revoked
+ */
+async function loadRevokedTokens() {
+    const revoked = await revokedTokensFile.update((all) => {
+        pruneRevokedTokens(all);
+        return { ...all };
+    });
+    revokedTokens.clear();
+    for (const [jti, exp] of Object.entries(revoked)) revokedTokens.set(jti, exp);
+    return revokedTokens.size;
+}
+
+/**
+ * Issue a signed session token for a user
+ * @param {string} userId - The user ID (e.g. "user_1750476548458")
+ * @param {number} [tokenVersion=0] - The user's tokenVersion; raising it ends every older session
+ * @returns {{token: string, expiresAt: string}} - The token and its expiry as ISO date
+ */
+function issueToken(userId, tokenVersion = 0) {
+    const now = Date.now();
+    const payload = {
+        sub: userId,
+        jti: crypto.randomBytes(16).toString('hex'),
+        ver: tokenVersion,
+        iat: now,
+        exp: now + TOKEN_TTL_MS
+    };
+    const body = base64url(JSON.stringify(payload));
+
+    return {
+        token: `${body}.${sign(body)}`,
+        expiresAt: new Date(payload.exp).toISOString()
+    };
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - The token from issueToken
+ * @returns {Object|null} - The token payload or null if invalid, expired or revoked
+ */
+function verifyToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = Buffer.from(sign(body));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+
+    if (!payload.sub || !payload.exp || payload.exp <= Date.now()) return null;
+    if (revokedTokens.has(payload.jti)) return null;
+
+    return payload;
+}
+
+/**
+ * Revoke a token so it can no longer be used (logout)
+ * @param {Object} payload - A verified token payload
+ * @returns {Promise<void>}
+ */
+async function revokeToken(payload) {
+    revokedTokens.set(payload.jti, payload.exp);
+    await revokedTokensFile.update((all) => {
+        pruneRevokedTokens(all);
+        all[payload.jti] = payload.exp;
+    });
+}
+
+/**
+ * Read the token from the Authorization header. Never from the query string:
+ * URLs end up in proxy logs and browser history (links use signDownloadUrl).
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+        return header.slice(7).trim();
+    }
+    return null;
+}
+
+/**
+ * Create middleware that resolves the current user into req.user
+ * @param {Function} findUser - (userId) => user object or null
+ * @returns {Function} - Express middleware that responds 401 when not signed in
+ */
+function requireAuth(findUser) {
+    return async (req, res, next) => {
+        try {
+            const payload = verifyToken(getRequestToken(req));
+            if (!payload) {
+                return res.status(401).json({
+                    error: 'Authentication required',
+                    details: 'Please log in again'
+                });
+            }
+
+            const user = await findUser(payload.sub);
+            if (!user) {
+                return res.status(401).json({
+                    error: 'Authentication required',
+                    details: 'User no longer exists'
+                });
+            }
+            // Issued before the password last changed
+            if ((payload.ver || 0) !== (user.tokenVersion || 0)) {
+                return res.status(401).json({
+                    error: 'Authentication required',
+                    details: 'The password was changed, please log in again'
+                });
+            }
+
+            const { password: _, ...userData } = user;
+            req.user = userData;
+            req.session = payload;
+            next();
+        } catch (error) {
+            console.error('Error during authentication:', error);
+            res.status(500).json({ error: 'Failed to authenticate request' });
+        }
+    };
+}
+
+/**
+ * Middleware that only lets administrators through (users with role "admin").
+ * Must run after requireAuth.
+ */
+function requireAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({
+            error: 'Access denied',
+            details: 'Administrator access is required'
+        });
+    }
+    next();
+}
+
+// The "download:" prefix keeps link signatures from ever matching a session token
+function downloadSignature(filename, userId, expires) {
+    return sign(`download:${filename}:${userId}:${expires}`);
+}
+
+/**
+ * Build a signed, expiring link to a generated document
+ * @param {string} filename - File name in tempStore (e.g. "itin_..._abc.pdf")
+ * @param {string} userId - The owner the link is issued to
+ * @param {number} [ttlMs] - Lifetime, defaults to DOWNLOAD_LINK_TTL_MINUTES
+ * @returns {{url: string, expiresAt: string}}
+ */
+function signDownloadUrl(filename, userId, ttlMs = DOWNLOAD_LINK_TTL_MS) {
+    const expires = Date.now() + ttlMs;
+    const query = new URLSearchParams({
+        uid: userId,
+        expires: String(expires),
+        sig: downloadSignature(filename, userId, expires)
+    });
+
+    return {
+        url: `/document/${encodeURIComponent(filename)}?${query}`,
+        expiresAt: new Date(expires).toISOString()
+    };
+}
+
+/**
+ * Check the query of a link from signDownloadUrl
+ * @param {string} filename - The requested file name
+ * @param {Object} query - { uid, expires, sig } from the request
+ * @returns {string|null} - The user ID the link was issued to, or null if invalid or expired
+ */
+function verifyDownloadUrl(filename, { uid, expires, sig } = {}) {
+    if (!uid || !expires || !sig || typeof sig !== 'string') return null;
+    if (!(Number(expires) > Date.now())) return null;
+
+    const expected = Buffer.from(downloadSignature(filename, uid, expires));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return uid;
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - The plaintext password
+ * @returns {Promise<string>} - "scrypt:N:r:p:salt:hash" with base64 salt and hash
+ */
+async function hashPassword(password) {
+    const { N, r, p, keylen } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, keylen, { N, r, p });
+    return `scrypt:${N}:${r}:${p}:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+/**
+ * Check whether a stored password value is a hash from hashPassword
+ * @param {string} stored - The stored password value
+ * @returns {boolean}
+ */
+function isPasswordHash(stored) {
+    return typeof stored === 'string' && /^scrypt:\d+:\d+:\d+:[^:]+:[^:]+$/.test(stored);
+}
+
+/**
+ * Verify a password against a stored hash. Without a stored hash (e.g. the
+ * user does not exist) a dummy hash is checked, so both take the same time.
+ * @param {string} password - The plaintext password to check
+ * @param {string} [stored] - The hash from hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    if (!password) return false;
+    if (!isPasswordHash(stored)) {
+        await verifyPassword(password, DUMMY_PASSWORD_HASH);
+        return false;
+    }
+
+    const [, N, r, p, salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+    hashPassword,
+    isPasswordHash,
+    verifyPassword,
+    issueToken,
+    verifyToken,
+    revokeToken,
+    loadRevokedTokens,
+    requireAuth,
+    requireAdmin,
+    signDownloadUrl,
+    verifyDownloadUrl
+};
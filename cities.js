@@ -0,0 +1,348 @@
+// cities.js
+const fs = require('fs');
+const path = require('path');
+
+const CITIES_SQL_PATH = path.join(__dirname, 'db', 'gh', 'cities.sql');
+const DISTRICTS_SQL_PATH = path.join(__dirname, 'db', 'gh', 'districts.sql');
+
+const DEFAULT_SUGGESTIONS = 10;
+const MAX_SUGGESTIONS = 50;
+
+// Places that agents use in routes but that are not towns in cities.sql
+const PLACE_ALIASES = {
+    'bandaranaikeinternationalairport': 'Bandaranayaka International Airport',
+    'bia': 'Bandaranayaka International Airport',
+    'cmb': 'Bandaranayaka International Airport',
+    'mattalarajapaksainternationalairport': 'Udamattala',
+    'mattalainternationalairport': 'Udamattala',
+    'colombo': 'Colombo 1'
+};
+
+let cities = null;
+let cityIndex = null;
+let districts = null;
+let provinces = null;
+
+/**
+ * Normalize a place name for lookups ("Nuwara  Eliya" -> "nuwaraeliya")
+ * @param {string} name - Place name
+ * @returns {string} - Lowercase key without spaces or punctuation
+ */
+function normalizePlaceName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse the rows of every `INSERT INTO <table>` statement in a MySQL dump
+ * @param {string} sql - The SQL dump text
+ * @param {string} table - Table name (e.g. "cities")
+ * @returns {Array<Array<string|number|null>>} - One array of values per row
+ */
+function parseInsertRows(sql, table) {
+    const rows = [];
+    const statement = new RegExp(`INSERT INTO \`${table}\`[^)]*\\)\\s*VALUES\\s*`, 'g');
+    let match;
+
+    while ((match = statement.exec(sql)) !== null) {
+        let i = statement.lastIndex;
+        let row = null;
+        let value = '';
+        let quoted = false;
+        let inString = false;
+
+        for (; i < sql.length; i++) {
+            const ch = sql[i];
+
+            if (inString) {
+                if (ch === '\\') {
+                    value += sql[++i];
+                } else if (ch === "'" && sql[i + 1] === "'") {
+                    value += "'";
+                    i++;
+                } else if (ch === "'") {
+                    inString = false;
+                } else {
+                    value += ch;
+                }
+                continue;
+            }
+
+            if (ch === "'") {
+                inString = true;
+                quoted = true;
+                value = '';
+            } else if (ch === '(' && row === null) {
+                row = [];
+                value = '';
+                quoted = false;
+            } else if ((ch === ',' || ch === ')') && row !== null) {
+                const raw = value.trim();
+                if (quoted) {
+                    row.push(value);
+                } else if (raw === 'NULL' || raw === '') {
+                    row.push(null);
+                } else {
+                    row.push(Number(raw));
+                }
+                value = '';
+                quoted = false;
+
+                if (ch === ')') {
+                    rows.push(row);
+                    row = null;
+                }
+            } else if (ch === ';' && row === null) {
+                break;
+            } else if (row !== null) {
+                value += ch;
+            }
+        }
+
+        statement.lastIndex = i;
+    }
+
+    return rows;
+}
+
+/**
+ * Load and cache all cities from db/gh/cities.sql
+ * @returns {Array<Object>} - Cities with the cities.sql column names
+ */
+function loadCities() {
+    if (cities) return cities;
+
+    const sql = fs.readFileSync(CITIES_SQL_PATH, 'utf8');
+    cities = parseInsertRows(sql, 'cities').map(row => ({
+        id: row[0],
+        district_id: row[1],
+        name_en: row[2],
+        name_si: row[3],
+        name_ta: row[4],
+        sub_name_en: row[5],
+        sub_name_si: row[6],
+        sub_name_ta: row[7],
+        postcode: row[8],
+        latitude: row[9],
+        longitude: row[10]
+    }));
+
+    cityIndex = new Map();
+    for (const city of cities) {
+        if (city.latitude === null || city.longitude === null) continue;
+        for (const name of [city.name_en, city.sub_name_en]) {
+            const key = normalizePlaceName(name);
+            if (key && !cityIndex.has(key)) {
+                cityIndex.set(key, city);
+            }
+        }
+    }
+
+    return cities;
+}
+
+/**
+ * Find a city with coordinates by its English name or sub name
+ * @param {string} name - Place name as typed in a route (e.g. "Nuwara Eliya")
+ * @returns {Object|null} - The city or null if it is unknown
+ */
+function findCity(name) {
+    loadCities();
+
+    const key = normalizePlaceName(name);
+    if (!key) return null;
+
+    if (cityIndex.has(key)) return cityIndex.get(key);
+    if (PLACE_ALIASES[key]) return cityIndex.get(normalizePlaceName(PLACE_ALIASES[key])) || null;
+
+    return null;
+}
+
+/**
+ * Load and cache the provinces and districts from db/gh/districts.sql
+ * @returns {{provinces: Map<number, Object>, districts: Map<number, Object>}} - Keyed by id
+ */
+function loadDistricts() {
+    if (districts) return { provinces, districts };
+
+    const sql = fs.readFileSync(DISTRICTS_SQL_PATH, 'utf8');
+    provinces = new Map(parseInsertRows(sql, 'provinces').map(row => [row[0], {
+        id: row[0],
+        name_en: row[1],
+        name_si: row[2],
+        name_ta: row[3]
+    }]));
+    districts = new Map(parseInsertRows(sql, 'districts').map(row => [row[0], {
+        id: row[0],
+        province_id: row[1],
+        name_en: row[2],
+        name_si: row[3],
+        name_ta: row[4]
+    }]));
+
+    return { provinces, districts };
+}
+
+/**
+ * A city with its district and province
+ * @param {Object} city - From loadCities
+ * @returns {Object}
+ */
+function describeCity(city) {
+    const { provinces, districts } = loadDistricts();
+    const district = districts.get(city.district_id) || null;
+    const province = district ? provinces.get(district.province_id) || null : null;
+    return {
+        ...city,
+        district: district && { id: district.id, name_en: district.name_en, name_si: district.name_si, name_ta: district.name_ta },
+        province
+    };
+}
+
+// Match a district or province by id or by any of its names
+function matchesArea(area, value) {
+    if (!area) return false;
+    if (String(area.id) === String(value).trim()) return true;
+    const key = normalizePlaceName(value);
+    const localName = String(value).trim();
+    return (key && normalizePlaceName(area.name_en) === key) || area.name_si === localName || area.name_ta === localName;
+}
+
+/**
+ * Cities with their district and province, sorted by English name
+ * @param {Object} [filters]
+ * @param {string|number} [filters.district] - District id or name
+ * @param {string|number} [filters.province] - Province id or name
+ * @returns {Array<Object>}
+ */
+function listCities({ district, province } = {}) {
+    return loadCities()
+        .map(describeCity)
+        .filter(city => !district || matchesArea(city.district, district))
+        .filter(city => !province || matchesArea(city.province, province))
+        .sort((a, b) => a.name_en.localeCompare(b.name_en));
+}
+
+/**
+ * Districts with their province and number of cities
+ * @returns {Array<Object>} - In id order
+ */
+function listDistricts() {
+    const { provinces, districts } = loadDistricts();
+    const counts = new Map();
+    for (const city of loadCities()) {
+        counts.set(city.district_id, (counts.get(city.district_id) || 0) + 1);
+    }
+    return [...districts.values()].map(district => ({
+        ...district,
+        province: provinces.get(district.province_id) || null,
+        cities: counts.get(district.id) || 0
+    }));
+}
+
+/**
+ * Edit distance between two strings, counting a swap of neighbours as one edit
+ */
+function editDistance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * How well a typed prefix matches a name; lower is better
+ * @param {string} query - Normalized query
+ * @param {string} name - The place name as stored
+ * @returns {number|null} - null for no match
+ */
+function matchRank(query, name) {
+    if (!name) return null;
+    const key = normalizePlaceName(name);
+    if (key === query) return 0;
+
+    const words = String(name).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    if (key.startsWith(query)) {
+        // "nuwara" is a better start of "Nuwara Eliya" than of "Nuwaragala"
+        const wholeWords = words.some((_, i) => words.slice(0, i + 1).join('') === query);
+        return wholeWords ? 1 : 2;
+    }
+    if (words.some((_, i) => words.slice(i).join('').startsWith(query))) return 3;
+    if (key.includes(query)) return 4;
+
+    // Typos: compare with the start of the name, allowing one edit per four letters
+    const allowed = Math.floor(query.length / 4);
+    if (allowed > 0) {
+        const distance = Math.min(...[-1, 0, 1].map(extra => editDistance(query, key.slice(0, query.length + extra))));
+        if (distance <= allowed) return 4 + distance;
+    }
+    return null;
+}
+
+/**
+ * Suggest cities for a partly typed name: prefix matches first, then
+ * matches inside the name and finally close spellings ("Sigirya")
+ * @param {string} query - English, Sinhala or Tamil text
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - At most 50
+ * @param {string|number} [options.district] - Only this district (id or name)
+ * @returns {Array<Object>} - Cities with district, province and the name that matched
+ */
+function autocompleteCities(query, { limit = DEFAULT_SUGGESTIONS, district } = {}) {
+    const text = String(query || '').trim();
+    const key = normalizePlaceName(text);
+    const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SUGGESTIONS, 1), MAX_SUGGESTIONS);
+    if (!text) return [];
+
+    const aliasTarget = PLACE_ALIASES[key] ? normalizePlaceName(PLACE_ALIASES[key]) : null;
+    const suggestions = [];
+
+    for (const city of loadCities()) {
+        let best = null;
+        let matched = null;
+        const consider = (rank, name) => {
+            if (rank !== null && (best === null || rank < best)) {
+                best = rank;
+                matched = name;
+            }
+        };
+
+        if (key) {
+            consider(matchRank(key, city.name_en), city.name_en);
+            consider(matchRank(key, city.sub_name_en), city.sub_name_en);
+            if (aliasTarget && normalizePlaceName(city.name_en) === aliasTarget) consider(0, city.name_en);
+        }
+        // Sinhala and Tamil names are matched as typed
+        for (const name of [city.name_si, city.name_ta, city.sub_name_si, city.sub_name_ta]) {
+            if (name && name.startsWith(text)) consider(name === text ? 0 : 2, name);
+            else if (name && name.includes(text)) consider(4, name);
+        }
+
+        if (best !== null) suggestions.push({ city, rank: best, matched });
+    }
+
+    return suggestions
+        .filter(entry => !district || matchesArea(describeCity(entry.city).district, district))
+        .sort((a, b) => a.rank - b.rank || a.city.name_en.length - b.city.name_en.length ||
+            a.city.name_en.localeCompare(b.city.name_en))
+        .slice(0, count)
+        .map(entry => ({ ...describeCity(entry.city), matched: entry.matched }));
+}
+
+module.exports = {
+    loadCities,
+    loadDistricts,
+    listCities,
+    listDistricts,
+    autocompleteCities,
+    findCity,
+    normalizePlaceName,
+    parseInsertRows
+};
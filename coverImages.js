@@ -0,0 +1,158 @@
+// coverImages.js
+const path = require('path');
+const sharp = require('sharp');
+const storage = require('./storage');
+const revisions = require('./revisions');
+const { ImageStore } = require('./imageStore');
+
+/**
+ * The cover slot of the built-in template in pixels. Uploads are cropped to
+ * its shape and stored at SCALE times its size so the PDF stays sharp in print.
+ */
+const COVER_IMAGE_SLOT = { width: 698, height: 334 };
+const SCALE = 2;
+
+/**
+ * Error raised for an upload that is not a usable image, or a cover the user may not remove
+ * @property {number} status - HTTP status to answer with
+ * @property {Array<string>} [itineraryIds] - Itineraries in the way, for a 409
+ */
+class CoverImageError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CoverImageError';
+        this.status = status;
+    }
+}
+
+const store = new ImageStore({
+    prefix: 'cover',
+    directory: path.join(__dirname, 'db', 'img', 'covers'),
+    recordsPath: path.join(__dirname, 'evelodatabase', 'coverImages.json'),
+    ErrorClass: CoverImageError
+});
+
+/**
+ * Where a cover image is stored
+ * @param {string} id - Cover image ID
+ * @returns {string|null} - null if the ID is not a cover image ID
+ */
+function coverImagePath(id) {
+    return store.filePath(id);
+}
+
+/**
+ * Check an upload and crop it to the cover slot. EXIF orientation is applied
+ * first; the crop keeps the most interesting part of the picture.
+ * @param {Buffer} buffer - The uploaded file
+ * @returns {Promise<{buffer: Buffer, source: {format: string, width: number, height: number}, warnings: string[]}>}
+ * @throws {CoverImageError} - When the file is not a JPEG, PNG or WebP image
+ */
+async function processCoverImage(buffer) {
+    const metadata = await store.readUpload(buffer);
+
+    // Orientations 5-8 are stored on their side
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const warnings = [];
+    if (width < COVER_IMAGE_SLOT.width || height < COVER_IMAGE_SLOT.height) {
+        warnings.push(`The image is ${width}×${height}; at least ${COVER_IMAGE_SLOT.width}×${COVER_IMAGE_SLOT.height} is needed for a sharp cover`);
+    }
+
+    const output = await sharp(buffer)
+        .rotate()
+        .resize(COVER_IMAGE_SLOT.width * SCALE, COVER_IMAGE_SLOT.height * SCALE, {
+            fit: 'cover',
+            position: sharp.strategy.attention
+        })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer();
+
+    return { buffer: output, source: { format: metadata.format, width, height }, warnings };
+}
+
+/**
+ * @param {string} userId - Owner
+ * @returns {Promise<Array<Object>>} - The user's cover image records
+ */
+function listCoverImages(userId) {
+    return store.list(userId);
+}
+
+/**
+ * @param {string} userId - Owner
+ * @param {string} id - Cover image ID
+ * @returns {Promise<Object|null>}
+ */
+function getCoverImage(userId, id) {
+    return store.get(userId, id);
+}
+
+/**
+ * Crop and store an uploaded cover image
+ * @param {string} userId - Owner
+ * @param {Object} upload
+ * @param {Buffer} upload.buffer - The uploaded file
+ * @param {string} [upload.originalName] - File name as uploaded
+ * @returns {Promise<Object>} - The stored record, with warnings about the source image
+ * @throws {CoverImageError} - When the file is not a usable image
+ */
+async function addCoverImage(userId, { buffer, originalName = null }) {
+    const processed = await processCoverImage(buffer);
+    return store.add(userId, { buffer, originalName }, processed.buffer, {
+        source: processed.source,
+        width: COVER_IMAGE_SLOT.width * SCALE,
+        height: COVER_IMAGE_SLOT.height * SCALE,
+        warnings: processed.warnings
+    });
+}
+
+/**
+ * Itineraries of a user that use a cover image, now or in a revision they can be restored to
+ * @param {string} userId - Owner
+ * @param {string} id - Cover image ID
+ * @returns {Promise<Array<string>>} - Itinerary IDs
+ */
+async function findCoverImageReferences(userId, id) {
+    const all = await storage.files.itineraries.read();
+    const owned = Object.values(all[userId] || {});
+    const current = owned
+        .filter(itinerary => itinerary.data && itinerary.data.customImage === id)
+        .map(itinerary => itinerary.id);
+    const ownedIds = new Set(owned.map(itinerary => itinerary.id));
+    const restorable = await revisions.findItinerariesWithRevision((data, itineraryId) =>
+        ownedIds.has(itineraryId) && data.customImage === id);
+    return [...new Set([...current, ...restorable])];
+}
+
+/**
+ * Delete a cover image no itinerary or stored revision uses
+ * @param {string} userId - Owner
+ * @param {string} id - Cover image ID
+ * @returns {Promise<boolean>} - false if not found
+ * @throws {CoverImageError} - 409 while itineraries use it
+ */
+function deleteCoverImage(userId, id) {
+    return store.remove(userId, id, async () => {
+        const references = await findCoverImageReferences(userId, id);
+        if (references.length > 0) {
+            const error = new CoverImageError(`Used by ${references.length} itinerar${references.length === 1 ? 'y' : 'ies'}`, 409);
+            error.itineraryIds = references;
+            throw error;
+        }
+    });
+}
+
+module.exports = {
+    COVER_IMAGE_SLOT,
+    CoverImageError,
+    coverImagePath,
+    processCoverImage,
+    listCoverImages,
+    getCoverImage,
+    addCoverImage,
+    deleteCoverImage
+};
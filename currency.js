@@ -0,0 +1,188 @@
+// currency.js
+const path = require('path');
+const storage = require('./storage');
+const revisions = require('./revisions');
+const { JsonFile } = storage;
+
+// Catalog prices and company pricing are in LKR; quotes are converted from it
+const BASE_CURRENCY = 'LKR';
+
+// Decimal places each quote currency is rounded to
+const CURRENCIES = {
+    LKR: { decimals: 0 },
+    EUR: { decimals: 2 },
+    USD: { decimals: 2 },
+    GBP: { decimals: 2 }
+};
+
+/**
+ * Rate snapshots, oldest first:
+ * { id, effectiveDate: 'YYYY-MM-DD', rates: { EUR: 330.5 }, createdAt, createdBy }
+ * where each rate is the number of LKR for one unit of the currency
+ */
+const ratesFile = new JsonFile(path.join(__dirname, 'evelodatabase', 'exchangeRates.json'), () => []);
+
+/**
+ * Error raised for a snapshot that may not be removed
+ * @property {number} status - HTTP status to answer with
+ * @property {Array<string>} [itineraryIds] - Itineraries in the way, for a 409
+ */
+class RateSnapshotError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'RateSnapshotError';
+        this.status = status;
+    }
+}
+
+function generateSnapshotId() {
+    return `rates_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Check a new rate snapshot
+ * @param {Object} input - { effectiveDate, rates }
+ * @returns {Array<{path: string, message: string}>} - Empty when valid
+ */
+function validateRateSnapshot(input) {
+    const errors = [];
+    const { effectiveDate, rates } = input || {};
+
+    if (typeof effectiveDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate) ||
+        isNaN(new Date(effectiveDate).getTime())) {
+        errors.push({ path: 'effectiveDate', message: 'must be a date in YYYY-MM-DD format' });
+    }
+
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates) || Object.keys(rates).length === 0) {
+        errors.push({ path: 'rates', message: 'must map at least one currency to its LKR rate' });
+        return errors;
+    }
+    for (const [code, rate] of Object.entries(rates)) {
+        if (!CURRENCIES[code] || code === BASE_CURRENCY) {
+            errors.push({ path: `rates.${code}`, message: `is not a quote currency (${Object.keys(CURRENCIES).filter(c => c !== BASE_CURRENCY).join(', ')})` });
+        } else if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+            errors.push({ path: `rates.${code}`, message: 'must be a positive number of LKR per unit' });
+        }
+    }
+    return errors;
+}
+
+/**
+ * @returns {Promise<Array<Object>>} - All snapshots, oldest effective date first
+ */
+async function listRateSnapshots() {
+    const snapshots = await ratesFile.read();
+    return [...snapshots].sort((a, b) =>
+        a.effectiveDate.localeCompare(b.effectiveDate) || a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Add a rate snapshot. Later snapshots win over earlier ones with the same effective date.
+ * @param {{effectiveDate: string, rates: Object}} input - Checked with validateRateSnapshot
+ * @param {Object} author - The admin adding it ({ id })
+ * @returns {Promise<Object>} - The stored snapshot
+ */
+function addRateSnapshot({ effectiveDate, rates }, author) {
+    const snapshot = {
+        id: generateSnapshotId(),
+        effectiveDate,
+        rates: { ...rates },
+        createdAt: new Date().toISOString(),
+        createdBy: author ? author.id : null
+    };
+    return ratesFile.update((snapshots) => {
+        snapshots.push(snapshot);
+        return { ...snapshot };
+    });
+}
+
+/**
+ * Itineraries whose saved quote was converted at a snapshot's rate, now or in
+ * a revision they can be restored to
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<Array<string>>} - Itinerary IDs
+ */
+async function findRateSnapshotReferences(id) {
+    const usesSnapshot = quote => Boolean(quote && quote.exchangeRate && quote.exchangeRate.snapshotId === id);
+
+    const all = await storage.files.itineraries.read();
+    const current = Object.values(all).flatMap(itineraries => Object.values(itineraries || {}))
+        .filter(itinerary => usesSnapshot(itinerary.quote))
+        .map(itinerary => itinerary.id);
+    const restorable = await revisions.findItinerariesWithRevision((data, itineraryId, revision) =>
+        usesSnapshot(revision.quote));
+    return [...new Set([...current, ...restorable])];
+}
+
+/**
+ * Delete a snapshot no saved quote uses; documents are rendered at the rate of their saved quote
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<boolean>} - Whether a snapshot was removed
+ * @throws {RateSnapshotError} - 409 while saved quotes use it
+ */
+function deleteRateSnapshot(id) {
+    return ratesFile.update(async (snapshots) => {
+        const index = snapshots.findIndex(snapshot => snapshot.id === id);
+        if (index === -1) return false;
+
+        const references = await findRateSnapshotReferences(id);
+        if (references.length > 0) {
+            const error = new RateSnapshotError(`Used by the quotes of ${references.length} itinerar${references.length === 1 ? 'y' : 'ies'}`);
+            error.itineraryIds = references;
+            throw error;
+        }
+
+        snapshots.splice(index, 1);
+        return true;
+    });
+}
+
+/**
+ * Find the rate in force for a currency on a date
+ * @param {string} code - Quote currency, e.g. 'EUR'
+ * @param {string} [date] - 'YYYY-MM-DD', defaults to today
+ * @returns {Promise<{snapshotId: string, effectiveDate: string, rate: number}|null>} - null if none applies
+ */
+async function getRate(code, date = today()) {
+    const snapshots = await listRateSnapshots();
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+        const snapshot = snapshots[i];
+        if (snapshot.effectiveDate <= date && snapshot.rates[code] !== undefined) {
+            return { snapshotId: snapshot.id, effectiveDate: snapshot.effectiveDate, rate: snapshot.rates[code] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Format an amount in a currency, e.g. "£1,234.50" or "LKR 12,500"
+ * @param {number} amount
+ * @param {string} code - ISO currency code
+ * @param {string} [locale='en-GB'] - Locale of the document, e.g. 'de-DE' for "1.234,50 €"
+ * @returns {string}
+ */
+function formatMoney(amount, code, locale = 'en-GB') {
+    const { decimals } = CURRENCIES[code] || { decimals: 2 };
+    return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: code,
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    }).format(amount).replace(/^([A-Z]{3})\s*/, '$1 ');
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    CURRENCIES,
+    RateSnapshotError,
+    validateRateSnapshot,
+    listRateSnapshots,
+    addRateSnapshot,
+    deleteRateSnapshot,
+    getRate,
+    formatMoney
+};
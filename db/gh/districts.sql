@@ -0,0 +1,89 @@
+
+-- --------------------------------------------------------
+
+--
+-- Provinces and districts of Sri Lanka, in the format of cities.sql.
+-- District ids are the district_id values used in cities.sql (alphabetical
+-- by English name), the same numbering as districts.sql in
+-- github.com/aslamanver/srilanka-cities, so the app needs no copy from there.
+--
+
+--
+-- Table structure for table `provinces`
+--
+
+CREATE TABLE `provinces` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `name_en` varchar(45) DEFAULT NULL,
+  `name_si` varchar(45) DEFAULT NULL,
+  `name_ta` varchar(45) DEFAULT NULL,
+  PRIMARY KEY (`id`)
+) ENGINE=InnoDB  DEFAULT CHARSET=utf8 ;
+
+--
+-- Dumping data for table `provinces`
+--
+
+INSERT INTO `provinces` (`id`, `name_en`, `name_si`, `name_ta`) VALUES
+(1, 'Central', 'මධ්‍යම', 'மத்திய'),
+(2, 'Eastern', 'නැගෙනහිර', 'கிழக்கு'),
+(3, 'North Central', 'උතුරු මැද', 'வட மத்திய'),
+(4, 'North Western', 'වයඹ', 'வட மேல்'),
+(5, 'Northern', 'උතුරු', 'வடக்கு'),
+(6, 'Sabaragamuwa', 'සබරගමුව', 'சப்ரகமுவ'),
+(7, 'Southern', 'දකුණු', 'தென்'),
+(8, 'Uva', 'ඌව', 'ஊவா'),
+(9, 'Western', 'බස්නාහිර', 'மேல்');
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `districts`
+--
+
+CREATE TABLE `districts` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `province_id` int(11) NOT NULL,
+  `name_en` varchar(45) DEFAULT NULL,
+  `name_si` varchar(45) DEFAULT NULL,
+  `name_ta` varchar(45) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `fk_districts_provinces_idx` (`province_id`)
+) ENGINE=InnoDB  DEFAULT CHARSET=utf8 ;
+
+--
+-- Dumping data for table `districts`
+--
+
+INSERT INTO `districts` (`id`, `province_id`, `name_en`, `name_si`, `name_ta`) VALUES
+(1, 2, 'Ampara', 'අම්පාර', 'அம்பாறை'),
+(2, 3, 'Anuradhapura', 'අනුරාධපුරය', 'அனுராதபுரம்'),
+(3, 8, 'Badulla', 'බදුල්ල', 'பதுளை'),
+(4, 2, 'Batticaloa', 'මඩකලපුව', 'மட்டக்களப்பு'),
+(5, 9, 'Colombo', 'කොළඹ', 'கொழும்பு'),
+(6, 7, 'Galle', 'ගාල්ල', 'காலி'),
+(7, 9, 'Gampaha', 'ගම්පහ', 'கம்பஹா'),
+(8, 7, 'Hambantota', 'හම්බන්තොට', 'அம்பாந்தோட்டை'),
+(9, 5, 'Jaffna', 'යාපනය', 'யாழ்ப்பாணம்'),
+(10, 9, 'Kalutara', 'කළුතර', 'களுத்துறை'),
+(11, 1, 'Kandy', 'මහනුවර', 'கண்டி'),
+(12, 6, 'Kegalle', 'කෑගල්ල', 'கேகாலை'),
+(13, 5, 'Kilinochchi', 'කිලිනොච්චිය', 'கிளிநொச்சி'),
+(14, 4, 'Kurunegala', 'කුරුණෑගල', 'குருநாகல்'),
+(15, 5, 'Mannar', 'මන්නාරම', 'மன்னார்'),
+(16, 1, 'Matale', 'මාතලේ', 'மாத்தளை'),
+(17, 7, 'Matara', 'මාතර', 'மாத்தறை'),
+(18, 8, 'Monaragala', 'මොණරාගල', 'மொனராகலை'),
+(19, 5, 'Mullaitivu', 'මුලතිව්', 'முல்லைத்தீவு'),
+(20, 1, 'Nuwara Eliya', 'නුවරඑළිය', 'நுவரெலியா'),
+(21, 3, 'Polonnaruwa', 'පොළොන්නරුව', 'பொலன்னறுவை'),
+(22, 4, 'Puttalam', 'පුත්තලම', 'புத்தளம்'),
+(23, 6, 'Ratnapura', 'රත්නපුර', 'இரத்தினபுரி'),
+(24, 2, 'Trincomalee', 'ත්‍රිකුණාමලය', 'திருகோணமலை'),
+(25, 5, 'Vavuniya', 'වවුනියාව', 'வவுனியா');
+
+--
+-- Constraints for table `districts`
+--
+ALTER TABLE `districts`
+  ADD CONSTRAINT `fk_districts_provinces` FOREIGN KEY (`province_id`) REFERENCES `provinces` (`id`) ON DELETE NO ACTION ON UPDATE NO ACTION;
@@ -0,0 +1,222 @@
+// distances.js
+const { findCity } = require('./cities');
+const i18n = require('./i18n');
+
+/**
+ * How drives are estimated from the straight-line distance between places.
+ * Roads in Sri Lanka wind through the hills, so the road distance is taken as
+ * the straight line times ROAD_FACTOR, driven at AVERAGE_SPEED_KMH.
+ */
+const DRIVE_SETTINGS = {
+    roadFactor: parseFloat(process.env.ROAD_FACTOR) || 1.4,
+    averageSpeedKmh: parseFloat(process.env.AVERAGE_SPEED_KMH) || 40,
+    // Days driving longer than this are flagged as unrealistic
+    maxDailyDriveHours: parseFloat(process.env.MAX_DAILY_DRIVE_HOURS) || 6
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two points
+ * @param {{latitude: number, longitude: number}} from
+ * @param {{latitude: number, longitude: number}} to
+ * @returns {number} - Kilometres
+ */
+function haversineKm(from, to) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(to.latitude - from.latitude);
+    const dLon = radians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(radians(from.latitude)) * Math.cos(radians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// A day's place may name several stops ("Nuwara Eliya - Ella"); the day ends at the last one
+function splitPlaces(place) {
+    return String(place || '').split(/\s*-\s*/).map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Estimate the drive of each day from where the previous day ended,
+ * through the places it lists
+ * @param {Array<{place: string}>} dailyPlans - The itinerary days
+ * @param {Object} [settings] - Overrides of DRIVE_SETTINGS
+ * @returns {{legs: Array<Object>, totalKm: number, totalMinutes: number, unknownPlaces: string[], longDrives: number[]}}
+ *   One leg per day; day 1 has no drive. km and minutes are null when a place has no coordinates.
+ */
+function computeDrives(dailyPlans, settings = {}) {
+    const { roadFactor, averageSpeedKmh, maxDailyDriveHours } = { ...DRIVE_SETTINGS, ...settings };
+    const unknownPlaces = new Set();
+    let previous = null;
+
+    const legs = dailyPlans.map((day, index) => {
+        const stops = splitPlaces(day.place).map(name => {
+            const city = findCity(name);
+            if (!city) unknownPlaces.add(name);
+            return { name, city };
+        });
+        const path = previous ? [previous, ...stops] : stops;
+        if (stops.length > 0) previous = stops[stops.length - 1];
+
+        let straightKm = 0;
+        let known = path.length > 1;
+        for (let i = 1; i < path.length; i++) {
+            if (!path[i - 1].city || !path[i].city) {
+                known = false;
+                break;
+            }
+            straightKm += haversineKm(path[i - 1].city, path[i].city);
+        }
+
+        const km = known ? Math.round(straightKm * roadFactor) : null;
+        const minutes = known ? Math.round(km / averageSpeedKmh * 60 / 5) * 5 : null;
+        return {
+            day: index + 1,
+            from: path.length > 1 ? path[0].name : null,
+            to: path.length > 1 ? path[path.length - 1].name : null,
+            km,
+            minutes,
+            tooLong: minutes !== null && minutes > maxDailyDriveHours * 60
+        };
+    });
+
+    return {
+        legs,
+        totalKm: legs.reduce((sum, leg) => sum + (leg.km || 0), 0),
+        totalMinutes: legs.reduce((sum, leg) => sum + (leg.minutes || 0), 0),
+        unknownPlaces: [...unknownPlaces],
+        longDrives: legs.filter(leg => leg.tooLong).map(leg => leg.day)
+    };
+}
+
+/**
+ * Straight-line kilometres driven when the days follow each other in this order
+ * @param {Array<{first: Object|null, last: Object|null, within: number}>} days - From locateDays
+ * @returns {number}
+ */
+function routeLength(days) {
+    let km = 0;
+    for (let i = 0; i < days.length; i++) {
+        km += days[i].within;
+        if (i > 0 && days[i - 1].last && days[i].first) {
+            km += haversineKm(days[i - 1].last, days[i].first);
+        }
+    }
+    return km;
+}
+
+// First and last stop of each day with the distance between its own stops
+function locateDays(dailyPlans) {
+    return dailyPlans.map((day, index) => {
+        const cities = splitPlaces(day.place).map(findCity);
+        const known = cities.length > 0 && cities.every(Boolean);
+        let within = 0;
+        if (known) {
+            for (let i = 1; i < cities.length; i++) within += haversineKm(cities[i - 1], cities[i]);
+        }
+        return { index, known, first: known ? cities[0] : null, last: known ? cities[cities.length - 1] : null, within };
+    });
+}
+
+/**
+ * Suggest an order of the days that drives less. The first and last day
+ * (arrival and departure) and days whose place has no coordinates keep their
+ * position; the other days are moved as a whole, with their activity, hotel
+ * and meals. Local search over swaps and reversals, so the answer is good
+ * rather than guaranteed best on long tours.
+ * @param {Array<Object>} dailyPlans - The itinerary days
+ * @param {Object} [options]
+ * @param {boolean} [options.keepFirst=true] - Keep day 1 where it is
+ * @param {boolean} [options.keepLast=true] - Keep the last day where it is
+ * @returns {{order: number[], dailyPlans: Array<Object>, route: string, pinnedDays: number[],
+ *   originalKm: number, suggestedKm: number, savedKm: number, savedMinutes: number, changed: boolean, unknownPlaces: string[]}}
+ *   order lists the original day numbers in the suggested order; km are road estimates as in computeDrives
+ */
+function suggestDayOrder(dailyPlans, { keepFirst = true, keepLast = true } = {}) {
+    const days = locateDays(dailyPlans);
+    const pinned = days.map((day, index) => !day.known ||
+        (keepFirst && index === 0) || (keepLast && index === days.length - 1));
+    const slots = days.map((_, index) => index).filter(index => !pinned[index]);
+
+    const arrange = (free) => {
+        const result = [...days];
+        slots.forEach((slot, i) => { result[slot] = days[free[i]]; });
+        return result;
+    };
+    const cost = free => routeLength(arrange(free));
+
+    let best = [...slots];
+    let bestCost = cost(best);
+    let improved = slots.length > 1;
+    while (improved) {
+        improved = false;
+        for (let i = 0; i < best.length - 1; i++) {
+            for (let j = i + 1; j < best.length; j++) {
+                const swapped = [...best];
+                [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+                const reversed = [...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)];
+                for (const candidate of [swapped, reversed]) {
+                    const candidateCost = cost(candidate);
+                    if (candidateCost < bestCost - 1e-6) {
+                        best = candidate;
+                        bestCost = candidateCost;
+                        improved = true;
+                    }
+                }
+            }
+        }
+    }
+
+    // The days as sent, renumbered when they carry a day number
+    const placeDays = indexes => indexes.map((index, position) =>
+        'day' in dailyPlans[index] ? { ...dailyPlans[index], day: position + 1 } : dailyPlans[index]);
+
+    const before = computeDrives(dailyPlans);
+    let order = arrange(best).map(day => day.index);
+    let suggested = placeDays(order);
+    let after = computeDrives(suggested);
+    // Rounding each leg can eat a tiny gain; then the current order stands
+    if (after.totalKm >= before.totalKm) {
+        order = days.map(day => day.index);
+        suggested = placeDays(order);
+        after = before;
+    }
+    const places = suggested.flatMap(day => splitPlaces(day.place))
+        .filter((place, i, all) => i === 0 || place !== all[i - 1]);
+
+    return {
+        order: order.map(index => index + 1),
+        dailyPlans: suggested,
+        route: places.join(' - '),
+        pinnedDays: pinned.map((isPinned, index) => isPinned ? index + 1 : null).filter(Boolean),
+        originalKm: before.totalKm,
+        suggestedKm: after.totalKm,
+        savedKm: before.totalKm - after.totalKm,
+        savedMinutes: before.totalMinutes - after.totalMinutes,
+        changed: order.some((index, position) => index !== position),
+        unknownPlaces: before.unknownPlaces
+    };
+}
+
+/**
+ * Format a drive time in a document language, e.g. "5 h 20 min" or "5 Std. 20 Min."
+ * @param {number} minutes
+ * @param {string} [language='en'] - Language code
+ * @returns {string}
+ */
+function formatDuration(minutes, language = i18n.DEFAULT_LANGUAGE) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return i18n.translate(language, 'duration.minutes', { minutes: rest });
+    return rest === 0
+        ? i18n.translate(language, 'duration.hours', { hours })
+        : i18n.translate(language, 'duration.hoursMinutes', { hours, minutes: rest });
+}
+
+module.exports = {
+    DRIVE_SETTINGS,
+    haversineKm,
+    computeDrives,
+    suggestDayOrder,
+    formatDuration
+};
@@ -1,30 +1,131 @@
 const axios = require('axios');
 const fs = require('fs');
+const os = require('os');
 const FormData = require('form-data');
 const path = require('path');
+const { spawn } = require('child_process');
+
+const DEFAULT_CONVERTER = process.env.PDF_CONVERTER || 'libreoffice';
+const DEFAULT_FALLBACKS = (process.env.PDF_CONVERTER_FALLBACK || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+const DEFAULT_TIMEOUT = parseInt(process.env.PDF_CONVERTER_TIMEOUT, 10) || 60000;
 
 function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function convertDocxToPdf(inputFilePath, outputFilePath) {
+/**
+ * Error raised by a converter backend
+ * @property {string} code - 'NOT_AVAILABLE', 'TIMEOUT' or 'FAILED'
+ * @property {string} converter - Name of the converter that failed
+ * @property {Array<Object>} attempts - Every converter tried, in order (set by convertDocxToPdf)
+ */
+class ConversionError extends Error {
+    constructor(message, { code = 'FAILED', converter = null, attempts = [] } = {}) {
+        super(message);
+        this.name = 'ConversionError';
+        this.code = code;
+        this.converter = converter;
+        this.attempts = attempts;
+    }
+}
+
+/**
+ * Local headless LibreOffice backend. Nothing leaves this machine.
+ * @param {string} inputFilePath - Path to the DOCX file
+ * @param {string} outputFilePath - Path to write the PDF to
+ * @param {Object} options
+ * @param {number} options.timeout - Milliseconds before soffice is killed
+ * @returns {Promise<void>}
+ */
+async function libreOfficeConvert(inputFilePath, outputFilePath, { timeout }) {
+    const binary = process.env.SOFFICE_PATH || 'soffice';
+
+    // soffice refuses to run twice against the same profile, so every
+    // conversion gets its own profile and output directory
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'docx2pdf-'));
+    const args = [
+        `-env:UserInstallation=file://${path.join(workDir, 'profile')}`,
+        '--headless',
+        '--norestore',
+        '--convert-to', 'pdf',
+        '--outdir', workDir,
+        inputFilePath
+    ];
+
     try {
-        // Validate input file
-        if (!fs.existsSync(inputFilePath)) {
-            throw new Error(`Input file not found: ${inputFilePath}`);
-        }
+        await new Promise((resolve, reject) => {
+            const child = spawn(binary, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+            let stderr = '';
+            let timedOut = false;
+
+            const timer = setTimeout(() => {
+                timedOut = true;
+                child.kill('SIGKILL');
+            }, timeout);
+
+            child.stderr.on('data', chunk => { stderr += chunk; });
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                if (error.code === 'ENOENT') {
+                    reject(new ConversionError(`LibreOffice not found (looked for "${binary}")`, {
+                        code: 'NOT_AVAILABLE',
+                        converter: 'libreoffice'
+                    }));
+                } else {
+                    reject(new ConversionError(error.message, { converter: 'libreoffice' }));
+                }
+            });
+
+            child.on('close', (exitCode) => {
+                clearTimeout(timer);
+                if (timedOut) {
+                    return reject(new ConversionError(`LibreOffice did not finish within ${timeout}ms`, {
+                        code: 'TIMEOUT',
+                        converter: 'libreoffice'
+                    }));
+                }
+                if (exitCode !== 0) {
+                    return reject(new ConversionError(`LibreOffice exited with code ${exitCode}: ${stderr.trim()}`, {
+                        converter: 'libreoffice'
+                    }));
+                }
+                resolve();
+            });
+        });
 
-        if (!outputFilePath || !outputFilePath.endsWith('.pdf')) {
-            throw new Error('Output path must be a PDF file (e.g., ./filename.pdf)');
+        const producedPath = path.join(workDir, `${path.basename(inputFilePath, path.extname(inputFilePath))}.pdf`);
+        if (!fs.existsSync(producedPath)) {
+            throw new ConversionError('LibreOffice finished without producing a PDF', { converter: 'libreoffice' });
         }
 
+        fs.copyFileSync(producedPath, outputFilePath);
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Remote pdf24.org backend. Uploads the document to a third-party site,
+ * so it is only used when explicitly enabled as a fallback.
+ * @param {string} inputFilePath - Path to the DOCX file
+ * @param {string} outputFilePath - Path to write the PDF to
+ * @param {Object} options
+ * @param {number} options.timeout - Milliseconds to wait for the remote job, and for each request
+ * @returns {Promise<void>}
+ */
+async function pdf24Convert(inputFilePath, outputFilePath, { timeout }) {
+    try {
         // Upload file
         const form = new FormData();
         form.append('file', fs.createReadStream(inputFilePath), {
             filename: path.basename(inputFilePath),
             contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
         });
-        
+
         const uploadResponse = await axios.post(
             'https://filetools27.pdf24.org/client.php?action=upload',
             form,
@@ -36,14 +137,15 @@ async function convertDocxToPdf(inputFilePath, outputFilePath) {
                     'X-Requested-With': 'XMLHttpRequest'
                 },
                 maxContentLength: Infinity,
-                maxBodyLength: Infinity
+                maxBodyLength: Infinity,
+                timeout
             }
         );
-        
+
         if (!Array.isArray(uploadResponse.data) || uploadResponse.data.length === 0) {
             throw new Error('File upload failed');
         }
-        
+
         const fileInfo = uploadResponse.data[0];
 
         // Start conversion
@@ -66,40 +168,45 @@ async function convertDocxToPdf(inputFilePath, outputFilePath) {
                     'Content-Type': 'application/json',
                     'Origin': 'https://tools.pdf24.org',
                     'Referer': 'https://tools.pdf24.org/en/docx-to-pdf'
-                }
+                },
+                timeout
             }
         );
-        
+
         if (!convertResponse.data?.jobId) {
             throw new Error('Conversion failed to start');
         }
-        
+
         const jobId = convertResponse.data.jobId;
 
         // Poll for completion
         let attempts = 0;
-        const maxAttempts = 30; // 1 minute timeout
-        
+        const maxAttempts = Math.max(1, Math.ceil(timeout / 2000));
+
         while (attempts < maxAttempts) {
             attempts++;
             await sleep(2000);
-            
+
             const statusResponse = await axios.get(
                 `https://filetools27.pdf24.org/client.php?action=getJobStatus&jobId=${jobId}`,
                 {
                     headers: {
                         'Origin': 'https://tools.pdf24.org',
                         'Referer': 'https://tools.pdf24.org/en/docx-to-pdf'
-                    }
+                    },
+                    timeout
                 }
             );
-            
+
             if (statusResponse.data?.status === 'done') break;
             if (statusResponse.data?.status === 'failed') {
                 throw new Error('Conversion failed on server');
             }
             if (attempts === maxAttempts) {
-                throw new Error('Conversion timeout');
+                throw new ConversionError(`pdf24 did not finish within ${timeout}ms`, {
+                    code: 'TIMEOUT',
+                    converter: 'pdf24'
+                });
             }
         }
 
@@ -111,21 +218,124 @@ async function convertDocxToPdf(inputFilePath, outputFilePath) {
                 headers: {
                     'Origin': 'https://tools.pdf24.org',
                     'Referer': 'https://tools.pdf24.org/en/docx-to-pdf'
-                }
+                },
+                timeout
             }
         );
-        
+
+        // The request timeout only covers the response headers, so the body gets its own
         const writer = fs.createWriteStream(outputFilePath);
         downloadResponse.data.pipe(writer);
-        
-        return new Promise((resolve, reject) => {
-            writer.on('finish', resolve);
-            writer.on('error', reject);
+
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                downloadResponse.data.destroy();
+                writer.destroy();
+                reject(new ConversionError(`pdf24 download did not finish within ${timeout}ms`, {
+                    code: 'TIMEOUT',
+                    converter: 'pdf24'
+                }));
+            }, timeout);
+            writer.on('finish', () => { clearTimeout(timer); resolve(); });
+            writer.on('error', (error) => { clearTimeout(timer); reject(error); });
+            downloadResponse.data.on('error', (error) => { clearTimeout(timer); reject(error); });
         });
-        
     } catch (error) {
-        throw new Error(`DOCX to PDF conversion failed: ${error.message}`);
+        if (error instanceof ConversionError) throw error;
+        // axios gives up on a stalled request with ECONNABORTED or ETIMEDOUT
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+            throw new ConversionError(`pdf24 did not answer within ${timeout}ms`, {
+                code: 'TIMEOUT',
+                converter: 'pdf24'
+            });
+        }
+        throw new ConversionError(error.message, { converter: 'pdf24' });
+    }
+}
+
+// Registered converter backends, keyed by name
+const converters = {
+    libreoffice: libreOfficeConvert,
+    pdf24: pdf24Convert
+};
+
+/**
+ * Register an additional converter backend
+ * @param {string} name - Name used in PDF_CONVERTER / options.converter
+ * @param {Function} convert - async (inputFilePath, outputFilePath, { timeout }) => void
+ */
+function registerConverter(name, convert) {
+    if (typeof convert !== 'function') {
+        throw new Error(`Converter "${name}" must be a function`);
     }
+    converters[name] = convert;
+}
+
+/**
+ * Convert a DOCX file to PDF with the configured converter, falling back
+ * to the next configured converter when one fails.
+ * @param {string} inputFilePath - Path to the DOCX file
+ * @param {string} outputFilePath - Path to save the PDF (must end in .pdf)
+ * @param {Object} [options]
+ * @param {string} [options.converter] - Preferred converter (default: PDF_CONVERTER or 'libreoffice')
+ * @param {string[]} [options.fallbacks] - Converters to try next (default: PDF_CONVERTER_FALLBACK)
+ * @param {number} [options.timeout] - Per-converter timeout in ms (default: PDF_CONVERTER_TIMEOUT or 60000)
+ * @returns {Promise<{converter: string, outputPath: string, durationMs: number, attempts: Array<Object>}>}
+ */
+async function convertDocxToPdf(inputFilePath, outputFilePath, options = {}) {
+    // Validate input file
+    if (!fs.existsSync(inputFilePath)) {
+        throw new ConversionError(`Input file not found: ${inputFilePath}`);
+    }
+
+    if (!outputFilePath || !outputFilePath.endsWith('.pdf')) {
+        throw new ConversionError('Output path must be a PDF file (e.g., ./filename.pdf)');
+    }
+
+    const chain = [options.converter || DEFAULT_CONVERTER, ...(options.fallbacks || DEFAULT_FALLBACKS)]
+        .filter((name, index, list) => list.indexOf(name) === index);
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const attempts = [];
+    let lastError = null;
+
+    for (const name of chain) {
+        const convert = converters[name];
+        const startedAt = Date.now();
+
+        if (!convert) {
+            lastError = new ConversionError(`Unknown converter "${name}"`, { code: 'NOT_AVAILABLE', converter: name });
+            attempts.push({ converter: name, success: false, code: lastError.code, error: lastError.message, durationMs: 0 });
+            continue;
+        }
+
+        try {
+            await convert(inputFilePath, outputFilePath, { timeout });
+            const durationMs = Date.now() - startedAt;
+            attempts.push({ converter: name, success: true, durationMs });
+            return { converter: name, outputPath: outputFilePath, durationMs, attempts };
+        } catch (error) {
+            lastError = error instanceof ConversionError
+                ? error
+                : new ConversionError(error.message, { converter: name });
+            attempts.push({
+                converter: name,
+                success: false,
+                code: lastError.code,
+                error: lastError.message,
+                durationMs: Date.now() - startedAt
+            });
+            console.error(`DOCX to PDF conversion with ${name} failed:`, lastError.message);
+        }
+    }
+
+    throw new ConversionError(`DOCX to PDF conversion failed: ${lastError.message}`, {
+        code: lastError.code,
+        converter: lastError.converter,
+        attempts
+    });
 }
 
-module.exports = convertDocxToPdf;
\ No newline at end of file
+module.exports = convertDocxToPdf;
+module.exports.ConversionError = ConversionError;
+module.exports.registerConverter = registerConverter;
+module.exports.converters = converters;
@@ -1,66 +1,77 @@
 const fs = require('fs');
 const path = require('path');
-const { captureMapScreenshot } = require('./mapSS');
+const crypto = require('crypto');
+const { renderRouteMap } = require('./mapSS');
+const { findCity } = require('./cities');
 const generateDocument = require('./render');
 const convertDocxToPdf = require('./docx2pdf');
+const { assertValidItinerary } = require('./itinerarySchema');
+const storage = require('./storage');
+const templates = require('./templates');
+const quotation = require('./quotation');
+const currency = require('./currency');
+const distances = require('./distances');
+const coverImages = require('./coverImages');
+const photos = require('./photos');
+const i18n = require('./i18n');
+const { localizeActivity } = require('./activities');
+
+// Bump when the document layout changes so every cached document is rebuilt
+const DOCUMENT_CACHE_VERSION = 5;
+
+/**
+ * Where each image goes in the built-in template: its bounding box
+ * [width, height] in pixels and how it fills it (see render.js)
+ */
+const IMAGE_SLOTS = {
+    companyLogo: { box: [315, 50], fit: 'contain' },
+    coverImage: { box: [coverImages.COVER_IMAGE_SLOT.width, coverImages.COVER_IMAGE_SLOT.height], fit: 'cover' },
+    routeMap: { box: [307, 420], fit: 'contain' }
+};
+
+// Each photo of a day's gallery; cropped so the gallery lines up
+const DAY_PHOTO_SLOT = { box: [330, 220], fit: 'cover' };
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
 
 class ItineraryEngine {
     constructor() {
-        this.itinerariesPath = path.join(__dirname, './evelodatabase/itineraries.json');
-        this.usersPath = path.join(__dirname, './evelodatabase/users.json');
         this.screenshotsDir = path.join(__dirname, './db/img/itinerary');
         this.tempStoreDir = path.join(__dirname, './db/temp/tempStore');
+        // Itinerary ID -> cache key of the documents currently in tempStore
+        this.documentCache = new storage.JsonFile(path.join(__dirname, './evelodatabase/documentCache.json'), () => ({}));
     }
 
     /**
      * Main function to process an itinerary
      * @param {string} itineraryId - The ID of the itinerary to process
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - async (stage) => void, called as each
+     *   stage ('map', 'render', 'convert') starts
      * @returns {Promise<Object>} - The final processed itinerary data
      */
-    async processItinerary(itineraryId) {
+    async processItinerary(itineraryId, { onProgress = async () => {} } = {}) {
         try {
-            // Step 1: Load itinerary data
-            const itinerary = await this.getItineraryById(itineraryId);
-            if (!itinerary) {
-                throw new Error(`Itinerary with ID ${itineraryId} not found`);
-            }
-
-            // Extract the data object from the itinerary
-            const itineraryData = itinerary.data || itinerary;
-
-            // Validate required fields
-            if (!itineraryData.route || typeof itineraryData.route !== 'string') {
-                throw new Error(`Invalid or missing route in itinerary ${itineraryId}`);
-            }
-
-            if (!itineraryData.dailyPlans || !Array.isArray(itineraryData.dailyPlans)) {
-                throw new Error(`Invalid or missing dailyPlans in itinerary ${itineraryId}`);
-            }
-
-            // Step 2: Get user/company info
-            const userId = itinerary.userId || itineraryData.userId || Object.keys(itinerary)[0]?.split('_')[1];
-            if (!userId) {
-                throw new Error(`Could not determine user ID for itinerary ${itineraryId}`);
-            }
-
-            const companyInfo = await this.getCompanyInfo(userId);
-            if (!companyInfo) {
-                throw new Error(`Company info not found for user ${userId}`);
+            // Steps 1-2: Load and validate the itinerary, company info and cache key
+            const { itineraryData, companyInfo, templatePath, quote, catalogActivities, cacheKey } = await this.loadDocumentInputs(itineraryId);
+
+            // Nothing that goes into the document has changed since the last run
+            const cached = await this.getCachedDocument(itineraryId, cacheKey);
+            if (cached) {
+                return {
+                    ...cached,
+                    itinerary: this.formatItineraryData(itineraryData, companyInfo, cached.screenshotPath, quote, catalogActivities)
+                };
             }
 
-          // Step 3: Generate map screenshot
-const formattedRoute = itineraryData.route.split(' - ').map((part, index) => {
-    // Only process the first part (airport name)
-    if (index === 0) {
-        return part.replace(/\s+/g, ''); // Remove all spaces
-    }
-    return part; // Keep other parts as-is
-}).join(' - ');
-
-const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itineraryId);
+            // Step 3: Generate map screenshot
+            await onProgress('map');
+            const screenshotPath = await this.generateRouteScreenshot(itineraryData.route, itineraryId);
 
             // Step 4: Format all data for the document
-            const formattedData = this.formatItineraryData(itineraryData, companyInfo, screenshotPath);
+            const formattedData = this.formatItineraryData(itineraryData, companyInfo, screenshotPath, quote, catalogActivities);
 
             // Step 5: Generate the final document
             const docxOutputPath = path.join(this.tempStoreDir, `${itineraryId}.docx`);
@@ -72,20 +83,45 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
             }
 
             // Generate Word document
-            await this.generateItineraryDocument(formattedData, docxOutputPath);
+            await onProgress('render');
+            await this.generateItineraryDocument(formattedData, docxOutputPath, templatePath);
 
             // Convert to PDF
-            await convertDocxToPdf(docxOutputPath, pdfOutputPath);
+            await onProgress('convert');
+            let conversion;
+            try {
+                conversion = await convertDocxToPdf(docxOutputPath, pdfOutputPath);
+            } catch (error) {
+                // Keep the DOCX so the caller can still offer it
+                error.docxPath = docxOutputPath;
+                throw error;
+            }
 
             // Optionally: Delete the DOCX file if you only want to keep PDF
             // fs.unlinkSync(docxOutputPath);
 
+            const conversionSummary = {
+                converter: conversion.converter,
+                durationMs: conversion.durationMs,
+                attempts: conversion.attempts
+            };
+            await this.documentCache.update((entries) => {
+                entries[itineraryId] = {
+                    key: cacheKey,
+                    createdAt: new Date().toISOString(),
+                    conversion: conversionSummary
+                };
+            });
+
             return {
                 success: true,
+                cached: false,
+                cacheKey: cacheKey,
                 itinerary: formattedData,
                 documentPath: pdfOutputPath, // Now returning PDF path instead of DOCX
                 docxPath: docxOutputPath,    // Optional: keep reference to DOCX if needed
-                screenshotPath: screenshotPath
+                screenshotPath: screenshotPath,
+                conversion: conversionSummary
             };
         } catch (error) {
             console.error('Error processing itinerary:', error);
@@ -93,6 +129,165 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
         }
     }
 
+    /**
+     * Load everything a document is built from and the cache key for it
+     * @param {string} itineraryId - The ID of the itinerary
+     * @returns {Promise<{itinerary: Object, itineraryData: Object, companyInfo: Object, templatePath: string, quote: Object,
+     *   catalogActivities: Map<string, Object>, cacheKey: string}>}
+     */
+    async loadDocumentInputs(itineraryId) {
+        const itinerary = await this.getItineraryById(itineraryId);
+        if (!itinerary) {
+            throw new Error(`Itinerary with ID ${itineraryId} not found`);
+        }
+
+        // Extract the data object from the itinerary and validate it
+        // against the same schema /api/generate uses
+        const itineraryData = await assertValidItinerary(itinerary.data, { userId: itinerary.userId });
+
+        const companyInfo = await this.getCompanyInfo(itinerary.userId);
+        if (!companyInfo) {
+            throw new Error(`Company info not found for user ${itinerary.userId}`);
+        }
+
+        // The itinerary's own template, else the company default, else the built-in one
+        const templatePath = await templates.resolveTemplatePath(itinerary.userId, itineraryData.templateId, itineraryData.language);
+
+        // Priced with the current settings and catalogs, at the exchange rate of the saved quote
+        const quote = await quotation.quoteItinerary(itineraryData, itinerary.userId, { savedQuote: itinerary.quote });
+
+        const catalogActivities = await this.getCatalogActivities(itineraryData, itinerary.userId);
+
+        const cacheKey = await this.getDocumentCacheKey(itineraryData, companyInfo, templatePath, quote, catalogActivities);
+        return { itinerary, itineraryData, companyInfo, templatePath, quote, catalogActivities, cacheKey };
+    }
+
+    /**
+     * Names, descriptions and photos of the catalog activities an itinerary uses, in its document language
+     * @param {Object} itineraryData - Validated itinerary data
+     * @param {string} [userId] - Owner, whose own activities count as well as the shared ones
+     * @returns {Promise<Map<string, {activity: string, description: string, source: string, photos: Array<Object>}>>}
+     *   Keyed by the normalized English name; source is the English description
+     */
+    async getCatalogActivities(itineraryData, userId = null) {
+        const language = i18n.resolveLanguage(itineraryData.language);
+        const used = new Set(itineraryData.dailyPlans.map(day => normalizeName(day.activity)));
+        const catalog = await storage.catalogs.activities(userId);
+        return new Map(catalog
+            .filter(activity => used.has(normalizeName(activity.activity)))
+            .map(activity => [
+                normalizeName(activity.activity),
+                {
+                    ...localizeActivity(activity, language),
+                    source: (activity.description || '').trim(),
+                    photos: photos.toPhotoList(activity.photos)
+                }
+            ]));
+    }
+
+    /**
+     * Hash every input of the document: the itinerary data, company info,
+     * the drive estimate settings, the catalog activities, the template and the image files it embeds.
+     * The route map is drawn from the route, so it is covered by the itinerary data.
+     * @param {Object} itineraryData - Validated itinerary data
+     * @param {Object} companyInfo - The company information
+     * @param {string} templatePath - The .docx template the document is rendered from
+     * @param {Object} quote - The price quote shown in the document
+     * @param {Map<string, Object>} [catalogActivities] - From getCatalogActivities
+     * @returns {Promise<string>} - Hex SHA-256 cache key
+     */
+    async getDocumentCacheKey(itineraryData, companyInfo, templatePath, quote, catalogActivities = new Map()) {
+        const hashFile = async (filePath) => {
+            try {
+                const contents = await fs.promises.readFile(filePath);
+                return crypto.createHash('sha256').update(contents).digest('hex');
+            } catch (error) {
+                // A missing file fails the render later; here it just gets its own key
+                return null;
+            }
+        };
+
+        const inputs = {
+            version: DOCUMENT_CACHE_VERSION,
+            data: itineraryData,
+            companyInfo: companyInfo,
+            quote: { ...quote, generatedAt: undefined },
+            drives: distances.DRIVE_SETTINGS,
+            catalogActivities: Object.fromEntries(catalogActivities),
+            template: await hashFile(templatePath),
+            images: {
+                companyLogo: companyInfo.logo ? await hashFile(path.join(__dirname, './', companyInfo.logo)) : null,
+                coverImage: await hashFile(this.getCoverImagePath(itineraryData))
+            }
+        };
+        const dayPhotos = itineraryData.dailyPlans.map(day => this.getDayPhotos(day, catalogActivities));
+        for (const photo of dayPhotos.flat()) {
+            inputs.images[photo.id] = await hashFile(photos.photoPath(photo.id));
+        }
+
+        return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex');
+    }
+
+    /**
+     * Return the documents in tempStore if they were built from the same inputs
+     * @param {string} itineraryId - The ID of the itinerary
+     * @param {string} cacheKey - Key from getDocumentCacheKey
+     * @returns {Promise<Object|null>} - Result in the shape of processItinerary, or null on a miss
+     */
+    async getCachedDocument(itineraryId, cacheKey) {
+        const entry = (await this.documentCache.read())[itineraryId];
+        if (!entry || entry.key !== cacheKey) return null;
+
+        const documentPath = path.join(this.tempStoreDir, `${itineraryId}.pdf`);
+        const docxPath = path.join(this.tempStoreDir, `${itineraryId}.docx`);
+        const screenshotPath = path.join(this.screenshotsDir, `${itineraryId}.jpg`);
+        if (![documentPath, docxPath, screenshotPath].every(file => fs.existsSync(file))) {
+            return null;
+        }
+
+        return {
+            success: true,
+            cached: true,
+            cacheKey: cacheKey,
+            documentPath: documentPath,
+            docxPath: docxPath,
+            screenshotPath: screenshotPath,
+            conversion: entry.conversion
+        };
+    }
+
+    /**
+     * Look up an up-to-date document without generating anything
+     * @param {string} itineraryId - The ID of the itinerary
+     * @returns {Promise<Object|null>} - Result in the shape of processItinerary, or null
+     */
+    async findCachedDocument(itineraryId) {
+        const { cacheKey } = await this.loadDocumentInputs(itineraryId);
+        return this.getCachedDocument(itineraryId, cacheKey);
+    }
+
+    /**
+     * Remove generated documents so a changed itinerary is never served stale
+     * @param {string} itineraryId - The ID of the itinerary
+     * @param {Object} [options]
+     * @param {boolean} [options.includeScreenshot=false] - Also remove the route map (on delete)
+     * @returns {Promise<void>}
+     */
+    async invalidateDocuments(itineraryId, { includeScreenshot = false } = {}) {
+        const files = [
+            path.join(this.tempStoreDir, `${itineraryId}.docx`),
+            path.join(this.tempStoreDir, `${itineraryId}.pdf`)
+        ];
+        if (includeScreenshot) {
+            files.push(path.join(this.screenshotsDir, `${itineraryId}.jpg`));
+        }
+
+        await Promise.all(files.map(file => fs.promises.rm(file, { force: true })));
+        await this.documentCache.update((entries) => {
+            delete entries[itineraryId];
+        });
+    }
+
     /**
      * Get itinerary by ID from the database
      * @param {string} itineraryId - The ID of the itinerary to find
@@ -100,30 +295,7 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
      */
     async getItineraryById(itineraryId) {
         try {
-            if (!fs.existsSync(this.itinerariesPath)) {
-                throw new Error(`Itineraries file not found at ${this.itinerariesPath}`);
-            }
-
-            const data = JSON.parse(fs.readFileSync(this.itinerariesPath, 'utf8'));
-            
-            // Search through all users' itineraries
-            for (const userId in data) {
-                if (data[userId] && typeof data[userId] === 'object') {
-                    for (const itinId in data[userId]) {
-                        if (itinId === itineraryId || 
-                            (data[userId][itinId] && 
-                             (data[userId][itinId].id === itineraryId || 
-                              (data[userId][itinId].data && data[userId][itinId].data.id === itineraryId)))) {
-                            // Return the full itinerary object
-                            return {
-                                ...data[userId][itinId],
-                                userId: userId
-                            };
-                        }
-                    }
-                }
-            }
-            return null;
+            return await storage.itineraries.findById(itineraryId);
         } catch (error) {
             console.error('Error reading itineraries:', error);
             throw error;
@@ -137,12 +309,7 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
      */
     async getCompanyInfo(userId) {
         try {
-            if (!fs.existsSync(this.usersPath)) {
-                throw new Error(`Users file not found at ${this.usersPath}`);
-            }
-
-            const users = JSON.parse(fs.readFileSync(this.usersPath, 'utf8'));
-            const user = users.find(u => u.id === `user_${userId}` || u.id === userId);
+            const user = await storage.users.findById(userId);
             return user ? user.companyInfo : null;
         } catch (error) {
             console.error('Error reading users:', error);
@@ -162,25 +329,31 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
                 throw new Error('Invalid route format');
             }
 
-            // Clean the route string (remove extra spaces around hyphens)
-            const cleanedRoute = route.replace(/\s*-\s*/g, '-');
-            
-            // Format the route for the map service
-            const places = cleanedRoute.split('-').filter(Boolean);
+            // Split on hyphens, ignoring the spaces around them
+            const places = route.split(/\s*-\s*/).map(place => place.trim()).filter(Boolean);
             if (places.length < 2) {
                 throw new Error('Route must contain at least two locations separated by hyphens');
             }
 
-            const formattedRoute = `&start;${places[0]}&${places.slice(1, -1).join('&')}&end;${places[places.length - 1]}`;
-            
+            // Look up each stop in cities.sql; unknown places are left off the map
+            const stops = [];
+            for (const place of places) {
+                const city = findCity(place);
+                if (!city) {
+                    console.warn(`No coordinates found for "${place}", skipping it on the route map`);
+                    continue;
+                }
+                stops.push({ name: place, latitude: city.latitude, longitude: city.longitude });
+            }
+
             // Ensure screenshots directory exists
             if (!fs.existsSync(this.screenshotsDir)) {
                 fs.mkdirSync(this.screenshotsDir, { recursive: true });
             }
 
             const screenshotPath = path.join(this.screenshotsDir, `${itineraryId}.jpg`);
-            await captureMapScreenshot(formattedRoute, screenshotPath, 'phone');
-            
+            await renderRouteMap(stops, screenshotPath);
+
             return screenshotPath;
         } catch (error) {
             console.error('Error generating route screenshot:', error);
@@ -189,13 +362,19 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
     }
 
     /**
-     * Format all itinerary data for the document template
+     * Format all itinerary data for the document template, in the itinerary's language
      * @param {Object} itinerary - The itinerary data
      * @param {Object} companyInfo - The company information
      * @param {string} screenshotPath - Path to the route screenshot
+     * @param {Object} [quote] - Price quote from quotation.js; pricing tags are left empty without one
+     * @param {Map<string, Object>} [catalogActivities] - From getCatalogActivities; catalog text stays in
+     *   English and days show only their own photos without it
      * @returns {Object} - Formatted data for the document
      */
-    formatItineraryData(itinerary, companyInfo, screenshotPath) {
+    formatItineraryData(itinerary, companyInfo, screenshotPath, quote = null, catalogActivities = new Map()) {
+        const language = i18n.resolveLanguage(itinerary.language);
+        const t = (key, params) => i18n.translate(language, key, params);
+
         // Calculate total nights (number of days - 1)
         const totalNights = itinerary.numberOfDays - 1;
         
@@ -204,17 +383,7 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
         const endDate = new Date(startDate);
         endDate.setDate(startDate.getDate() + itinerary.numberOfDays - 1);
         
-        const formatDate = (date) => {
-            const day = date.getDate().toString().padStart(2, '0');
-            const month = (date.getMonth() + 1).toString().padStart(2, '0');
-            const year = date.getFullYear();
-            return `${day}-${month}-${year}`;
-        };
-        
-        const formatDateForDisplay = (date) => {
-            const options = { day: 'numeric', month: 'short', year: 'numeric' };
-            return date.toLocaleDateString('en-GB', options).replace(/ /g, ' ');
-        };
+        const formatDateForDisplay = date => i18n.formatDate(date, language);
         
         const travelDatePeriod = `${formatDateForDisplay(startDate)} – ${formatDateForDisplay(endDate)}`;
         
@@ -223,43 +392,87 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
             ? `${itinerary.numberOfTravelers}` 
             : '1';
 
+        // Estimate each day's drive from where the previous day ended
+        const drives = distances.computeDrives(itinerary.dailyPlans);
+        if (drives.longDrives.length > 0) {
+            console.warn(`Unrealistic drives on day(s) ${drives.longDrives.join(', ')} of "${itinerary.route}"`);
+        }
+        const formatKm = km => `${i18n.formatNumber(km, language)} km`;
+        const hasDrive = leg => leg.km !== null && leg.km > 0;
+
+        // Catalog activities are shown with their translation; a description the
+        // user wrote themselves (anything but the catalog text) is kept as it is
+        const activityName = name => {
+            const texts = catalogActivities.get(normalizeName(name));
+            return texts ? texts.activity : name;
+        };
+        const dayActivity = day => day.activity === 'custom' || !day.activity ? day.customActivity : activityName(day.activity);
+        const dayDescription = (day) => {
+            const texts = day.activity !== 'custom' ? catalogActivities.get(normalizeName(day.activity)) : null;
+            if (texts && day.description && day.description.trim() === texts.source) return texts.description;
+            return day.description;
+        };
+
         // Prepare itinerary table
         const itbTable = itinerary.dailyPlans.map((day, index) => ({
-            dayNumber: `Day ${index + 1}`,
+            dayNumber: t('day', { n: index + 1 }),
             place: day.place,
-            activity: day.activity === 'custom' || !day.activity ? day.customActivity : day.activity
+            activity: dayActivity(day),
+            driveDistance: hasDrive(drives.legs[index]) ? formatKm(drives.legs[index].km) : '',
+            driveTime: hasDrive(drives.legs[index]) ? distances.formatDuration(drives.legs[index].minutes, language) : ''
         }));
 
         // Prepare itinerary details
+        const mealCodes = t('mealCodes').split('/');
+        const photoPaths = {};
+        const photoSlots = {};
         const iDetail = itinerary.dailyPlans.map((day, index) => {
             const currentDate = new Date(startDate);
             currentDate.setDate(startDate.getDate() + index);
             
-            const formattedDate = formatDate(currentDate);
             const displayDate = formatDateForDisplay(currentDate);
             
-            // Format food supply in (B/L/D) format
+            // Format food supply in (B/L/D) format, with the language's initials
             const meals = day.meals || {};
-            const foodSupply = `(${
-                meals.breakfast ? 'B' : '-'
-            }/${
-                meals.lunch ? 'L' : '-'
-            }/${
-                meals.dinner ? 'D' : '-'
-            })`;
+            const foodSupply = `(${['breakfast', 'lunch', 'dinner']
+                .map((meal, i) => meals[meal] ? mealCodes[i] : '-')
+                .join('/')})`;
             
             // Format overnight stay
-            let overnightText = 'No overnight stay';
+            let overnightText = t('noOvernightStay');
             if (day.overnightStay) {
                 const hotelName = day.hotel === 'custom' ? day.customHotel : day.hotel;
-                overnightText = hotelName ? `Overnight Stay: ${hotelName}` : 'Overnight stay';
+                overnightText = hotelName ? t('overnightStayAt', { hotel: hotelName }) : t('overnightStay');
             }
             
+            // Drive of the day, e.g. "Drive from Kandy to Ella: about 95 km, 2 h 25 min"
+            const leg = drives.legs[index];
+            let driveInfo = '';
+            if (hasDrive(leg)) {
+                driveInfo = t('driveInfo', {
+                    from: leg.from,
+                    to: leg.to,
+                    distance: formatKm(leg.km),
+                    duration: distances.formatDuration(leg.minutes, language)
+                });
+                if (leg.tooLong) driveInfo += t('longDrive');
+            }
+
+            // Photo gallery, each photo under its own image tag
+            const dayPhotos = this.getDayPhotos(day, catalogActivities).map((photo, photoIndex) => {
+                const tag = `dayPhoto_${index + 1}_${photoIndex + 1}`;
+                photoPaths[tag] = photos.photoPath(photo.id);
+                photoSlots[tag] = DAY_PHOTO_SLOT;
+                return { photo: tag, caption: photo.caption };
+            });
+
             return {
-                iDetailTitle: `Day ${index + 1} – ${day.place} (${displayDate})`,
-                iDesc: day.description || 'Activities for the day',
+                iDetailTitle: `${t('day', { n: index + 1 })} – ${day.place} (${displayDate})`,
+                driveInfo: driveInfo,
+                iDesc: dayDescription(day) || t('defaultDescription'),
                 isOvernightStay: overnightText,
-                foodSupply: foodSupply
+                foodSupply: foodSupply,
+                dayPhotos: dayPhotos
             };
         });
 
@@ -271,13 +484,23 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
                 accomodation: day.hotel === 'custom' ? day.customHotel : day.hotel
             }));
 
-        // Handle cover image path
-        let coverImagePath;
-        if (itinerary.coverImage === 'custom' && itinerary.customImage) {
-            coverImagePath = path.join(__dirname, './', itinerary.customImage);
-        } else {
-            coverImagePath = path.join(__dirname, './public/public/default-cover.jpg');
-        }
+        const coverImagePath = this.getCoverImagePath(itinerary);
+
+        // Prepare pricing table, one row per day listing what is charged
+        const money = amount => quote ? currency.formatMoney(amount, quote.currency, i18n.localeOf(language)) : '';
+        const itemName = (item) => {
+            if (item.type === 'activity') return activityName(item.description);
+            if (item.type === 'meal') return t(`meal.${item.description.toLowerCase()}`);
+            if (item.type === 'transport') return t('transport');
+            return item.description;
+        };
+        const pTable = quote ? quote.days.map(day => ({
+            pDay: t('day', { n: day.day }),
+            pDescription: day.items
+                .map(item => item.quantity > 1 ? `${itemName(item)} (${item.quantity} × ${money(item.unitPrice)})` : itemName(item))
+                .join('\n'),
+            pAmount: money(day.total)
+        })) : [];
 
         return {
             // Company info
@@ -298,6 +521,28 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
             itbTable: itbTable,
             iDetail: iDetail,
             aTable: aTable,
+            pTable: pTable,
+            
+            // Pricing
+            pCurrency: quote ? quote.currency : '',
+            pSubtotal: money(quote ? quote.subtotal : 0),
+            pMarkupPercent: quote ? quote.markupPercent.toString() : '',
+            pMarkup: money(quote ? quote.markup : 0),
+            pTotal: money(quote ? quote.total : 0),
+            pPerTraveller: money(quote ? quote.perTraveller : 0),
+            // Empty for LKR quotes so the template can hide the row
+            pExchangeRate: quote && quote.exchangeRate
+                ? t('exchangeRate', {
+                    currency: quote.currency,
+                    rate: i18n.formatNumber(quote.exchangeRate.rate, language, { maximumFractionDigits: 4 }),
+                    base: quote.baseCurrency,
+                    date: formatDateForDisplay(new Date(quote.exchangeRate.effectiveDate))
+                })
+                : '',
+            
+            // Driving, estimated from the coordinates in cities.sql
+            totalDistance: drives.totalKm > 0 ? formatKm(drives.totalKm) : '',
+            totalDriveTime: drives.totalKm > 0 ? distances.formatDuration(drives.totalMinutes, language) : '',
             
             // Dates
             departureDate: formatDateForDisplay(endDate),
@@ -310,29 +555,54 @@ const screenshotPath = await this.generateRouteScreenshot(formattedRoute, itiner
             // Internal use (paths to actual images)
             _images: {
                 paths: {
-                    companyLogo: path.join(__dirname, './', companyInfo.logo),
+                    companyLogo: companyInfo.logo ? path.join(__dirname, './', companyInfo.logo) : null,
                     coverImage: coverImagePath,
-                    routeMap: screenshotPath
+                    routeMap: screenshotPath,
+                    ...photoPaths
                 },
-                sizes: {
-                    companyLogo: [315, 50], // width, height in pixels
-                    coverImage: [698, 334],
-                    routeMap: [307, 420]
-                }
+                slots: { ...IMAGE_SLOTS, ...photoSlots }
             }
         };
     }
 
+    /**
+     * Photos shown for a day: its own, else those of its catalog activity.
+     * A day with photos: [] shows none.
+     * @param {Object} day - Day of the itinerary
+     * @param {Map<string, Object>} [catalogActivities] - From getCatalogActivities
+     * @returns {Array<{id: string, caption: string}>}
+     */
+    getDayPhotos(day, catalogActivities = new Map()) {
+        if (Array.isArray(day.photos)) return photos.toPhotoList(day.photos);
+        const activity = day.activity && day.activity !== 'custom' ? catalogActivities.get(normalizeName(day.activity)) : null;
+        return activity && activity.photos ? activity.photos : [];
+    }
+
+    /**
+     * Resolve the cover image for an itinerary: its uploaded cover, else the default one
+     * @param {Object} itinerary - The itinerary data
+     * @returns {string} - Path to the cover image
+     */
+    getCoverImagePath(itinerary) {
+        if (itinerary.coverImage === 'custom' && itinerary.customImage) {
+            const coverPath = coverImages.coverImagePath(itinerary.customImage);
+            if (coverPath && fs.existsSync(coverPath)) {
+                return coverPath;
+            }
+            console.warn(`Cover image ${itinerary.customImage} not found, using the default cover`);
+        }
+        return path.join(__dirname, './public/public/default-cover.jpg');
+    }
+
     /**
      * Generate the final itinerary document
      * @param {Object} data - Formatted data for the document
      * @param {string} outputPath - Path to save the generated document
+     * @param {string} [templatePath] - The .docx template, defaults to the built-in one
      * @returns {Promise<string>} - Path to the generated document
      */
-    async generateItineraryDocument(data, outputPath) {
+    async generateItineraryDocument(data, outputPath, templatePath = templates.DEFAULT_TEMPLATE_PATH) {
         try {
-            const templatePath = path.join(__dirname, './db/temp/template.docx');
-            
             if (!fs.existsSync(templatePath)) {
                 throw new Error(`Template file not found at ${templatePath}`);
             }
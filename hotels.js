@@ -0,0 +1,307 @@
+// hotels.js
+const crypto = require('crypto');
+const storage = require('./storage');
+const revisions = require('./revisions');
+const { validateNode } = require('./itinerarySchema');
+
+// Kept in step with the hotelRates keys of quotation.DEFAULT_PRICING
+const HOTEL_TYPES = ['Hotel', 'Home Stay', 'Villa'];
+
+const hotelSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+        city: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+        type: { type: 'string', required: true, enum: HOTEL_TYPES },
+        starRating: { type: 'integer', nullable: true, min: 1, max: 5 },
+        address: { type: 'string', maxLength: 500 },
+        phone: { type: 'string', maxLength: 50 },
+        email: { type: 'string', maxLength: 200, format: 'email' },
+        website: { type: 'string', maxLength: 500 },
+        roomTypes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+                    maxOccupancy: { type: 'integer', min: 1, max: 20 }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Error raised for an invalid hotel or a change the user may not make
+ * @property {number} status - HTTP status to answer with
+ * @property {Array<{path: string, message: string}>} errors - Invalid fields, for a 400
+ * @property {Array<string>} [itineraryIds] - Itineraries in the way, for a 409
+ */
+class HotelError extends Error {
+    constructor(message, status, errors = []) {
+        super(message);
+        this.name = 'HotelError';
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+// Fields a caller may set; id and timestamps are managed here
+const EDITABLE_FIELDS = Object.keys(hotelSchema.properties);
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function trimmed(value) {
+    return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : value;
+}
+
+/**
+ * Build a catalog record with every field present
+ * @param {Object} fields - Editable fields
+ * @returns {Object}
+ */
+function toRecord(fields) {
+    return {
+        name: trimmed(fields.name),
+        city: trimmed(fields.city),
+        type: trimmed(fields.type),
+        starRating: fields.starRating || null,
+        address: trimmed(fields.address) || '',
+        phone: trimmed(fields.phone) || '',
+        email: trimmed(fields.email) || '',
+        website: trimmed(fields.website) || '',
+        roomTypes: (fields.roomTypes || []).map(room => ({
+            name: trimmed(room.name),
+            maxOccupancy: room.maxOccupancy || null
+        }))
+    };
+}
+
+/**
+ * Validate a hotel against the schema and check its name is not taken in its city
+ * @param {Object} input - Editable fields
+ * @param {Array<Object>} catalog - Current records
+ * @param {string} [ignoreId] - The record being updated
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, value: Object}}
+ */
+function validateHotel(input, catalog, ignoreId = null) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { valid: false, errors: [{ path: '', message: 'hotel must be an object' }], value: input };
+    }
+
+    const errors = [];
+    const picked = Object.fromEntries(EDITABLE_FIELDS.filter(key => key in input).map(key => [key, input[key]]));
+    const value = toRecord(validateNode(hotelSchema, picked, '', errors));
+
+    if (errors.length === 0) {
+        const duplicate = catalog.find(hotel => hotel.id !== ignoreId &&
+            normalizeName(hotel.name) === normalizeName(value.name) &&
+            normalizeName(hotel.city) === normalizeName(value.city));
+        if (duplicate) {
+            errors.push({ path: 'name', message: `"${value.name}" is already in the catalog for ${value.city}` });
+        }
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Search the catalog
+ * @param {Object} [filters]
+ * @param {string} [filters.q] - Matched against name, city and address
+ * @param {string} [filters.city] - Exact city, any case
+ * @param {string} [filters.type] - One of HOTEL_TYPES
+ * @param {number} [filters.minStars] - Lowest star rating; unrated hotels are left out
+ * @returns {Promise<Array<Object>>} - Sorted by city, then name
+ */
+async function listHotels({ q, city, type, minStars } = {}) {
+    const query = normalizeName(q);
+    const hotels = await storage.catalogs.hotels();
+
+    return hotels
+        .filter(hotel => !query || [hotel.name, hotel.city, hotel.address].some(field => normalizeName(field).includes(query)))
+        .filter(hotel => !city || normalizeName(hotel.city) === normalizeName(city))
+        .filter(hotel => !type || normalizeName(hotel.type) === normalizeName(type))
+        .filter(hotel => !minStars || (hotel.starRating || 0) >= minStars)
+        .sort((a, b) => a.city.localeCompare(b.city) || a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} id - Hotel ID
+ * @returns {Promise<Object|null>}
+ */
+async function getHotel(id) {
+    const hotels = await storage.catalogs.hotels();
+    return hotels.find(hotel => hotel.id === id) || null;
+}
+
+/**
+ * Add a hotel
+ * @param {Object} input - Editable fields
+ * @param {Object} author - The user adding it ({ id, role })
+ * @returns {Promise<Object>} - The new hotel
+ * @throws {HotelError} - 400 when invalid, 403 for non-administrators
+ */
+async function createHotel(input, author) {
+    if (!canEdit(author)) {
+        throw new HotelError('Catalog hotels can only be added by administrators', 403);
+    }
+
+    return storage.files.hotels.update((hotels) => {
+        const { valid, errors, value } = validateHotel(input, hotels);
+        if (!valid) {
+            throw new HotelError('Hotel validation failed', 400, errors);
+        }
+
+        const now = new Date().toISOString();
+        const hotel = {
+            id: crypto.randomUUID(),
+            ...value,
+            createdAt: now,
+            createdBy: author ? author.id : null,
+            updatedAt: now
+        };
+        hotels.push(hotel);
+        return { ...hotel };
+    });
+}
+
+/**
+ * Whether a user can add, change or delete catalog hotels. The catalog is
+ * shared by every company, so only administrators can.
+ * @param {Object} user - The signed-in user
+ * @returns {boolean}
+ */
+function canEdit(user) {
+    return Boolean(user) && user.role === 'admin';
+}
+
+/**
+ * Itineraries whose days point at a hotel, now or in a revision they can be
+ * restored to: by ID, or by name for days picked before hotelId existed. Name matches only count while no other catalog
+ * record has the same name, as the day still validates against that one.
+ * @param {Object} hotel - Catalog record
+ * @param {Object} [options]
+ * @param {boolean} [options.byId=true] - Count days that point at it by ID
+ * @returns {Promise<Array<string>>} - Itinerary IDs
+ */
+async function findHotelReferences(hotel, { byId = true } = {}) {
+    const name = normalizeName(hotel.name);
+    const namesake = (await storage.catalogs.hotels())
+        .some(other => other.id !== hotel.id && normalizeName(other.name) === name);
+    const uses = day => (byId && day.hotelId === hotel.id) ||
+        (!namesake && !day.hotelId && day.overnightStay && day.hotel !== 'custom' &&
+            !(day.customHotel || '').trim() && normalizeName(day.hotel) === name);
+
+    const usesHotel = data => ((data && data.dailyPlans) || []).some(day => day && uses(day));
+
+    const all = await storage.files.itineraries.read();
+    const references = [];
+    for (const itineraries of Object.values(all)) {
+        for (const itinerary of Object.values(itineraries || {})) {
+            if (usesHotel(itinerary.data)) references.push(itinerary.id);
+        }
+    }
+    const restorable = await revisions.findItinerariesWithRevision(usesHotel);
+    return [...new Set([...references, ...restorable])];
+}
+
+function inUseError(references, verb) {
+    const error = new HotelError(`${verb} by name in ${references.length} itinerar${references.length === 1 ? 'y' : 'ies'}`, 409);
+    error.itineraryIds = references;
+    return error;
+}
+
+/**
+ * Change a hotel. A hotel that itineraries picked by name keeps its name.
+ * @param {string} id - Hotel ID
+ * @param {Object} changes - Editable fields
+ * @param {Object} user - The signed-in user
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Replace every field instead of merging
+ * @returns {Promise<Object|null>} - The updated hotel, null if not found
+ * @throws {HotelError} - 400 when invalid, 403 for non-administrators, 409 when renaming a hotel in use
+ */
+function updateHotel(id, changes, user, { replace = false } = {}) {
+    return storage.files.hotels.update(async (hotels) => {
+        const hotel = hotels.find(entry => entry.id === id);
+        if (!hotel) return null;
+        if (!canEdit(user)) {
+            throw new HotelError('Catalog hotels can only be changed by administrators', 403);
+        }
+
+        const input = replace ? changes : { ...hotel, ...changes };
+        const { valid, errors, value } = validateHotel(input, hotels, id);
+        if (!valid) {
+            throw new HotelError('Hotel validation failed', 400, errors);
+        }
+
+        if (normalizeName(value.name) !== normalizeName(hotel.name)) {
+            const references = await findHotelReferences(hotel, { byId: false });
+            if (references.length > 0) throw inUseError(references, 'Picked');
+        }
+
+        Object.assign(hotel, value, { updatedAt: new Date().toISOString() });
+        return { ...hotel };
+    });
+}
+
+/**
+ * Delete a hotel no itinerary uses
+ * @param {string} id - Hotel ID
+ * @param {Object} user - The signed-in user
+ * @returns {Promise<boolean>} - Whether a hotel was removed
+ * @throws {HotelError} - 403 for non-administrators, 409 while itineraries use it
+ */
+function deleteHotel(id, user) {
+    return storage.files.hotels.update(async (hotels) => {
+        const index = hotels.findIndex(entry => entry.id === id);
+        if (index === -1) return false;
+        if (!canEdit(user)) {
+            throw new HotelError('Catalog hotels can only be deleted by administrators', 403);
+        }
+
+        const references = await findHotelReferences(hotels[index]);
+        if (references.length > 0) {
+            const error = new HotelError(`Used by ${references.length} itinerar${references.length === 1 ? 'y' : 'ies'}`, 409);
+            error.itineraryIds = references;
+            throw error;
+        }
+
+        hotels.splice(index, 1);
+        return true;
+    });
+}
+
+/**
+ * Find the catalog record a day picked by name: the one with that name in
+ * the day's place, else the only one with that name anywhere
+ * @param {Object} day - Itinerary day with a hotel name
+ * @param {Array<Object>} hotels - Catalog records
+ * @returns {Object|null} - null when there is none or the name is ambiguous
+ */
+function matchHotelByName(day, hotels) {
+    const name = normalizeName(day.hotel);
+    const named = hotels.filter(hotel => normalizeName(hotel.name) === name);
+    const places = String(day.place || '').split(/\s*-\s*/).map(normalizeName);
+    const inPlace = named.filter(hotel => places.includes(normalizeName(hotel.city)));
+    if (inPlace.length === 1) return inPlace[0];
+    return named.length === 1 ? named[0] : null;
+}
+
+module.exports = {
+    HOTEL_TYPES,
+    hotelSchema,
+    HotelError,
+    toRecord,
+    validateHotel,
+    listHotels,
+    getHotel,
+    createHotel,
+    updateHotel,
+    findHotelReferences,
+    deleteHotel,
+    matchHotelByName
+};
@@ -0,0 +1,157 @@
+// i18n.js
+
+// Document languages and the locale their dates and numbers are written in
+const LANGUAGES = {
+    en: { name: 'English', locale: 'en-GB' },
+    de: { name: 'Deutsch', locale: 'de-DE' },
+    fr: { name: 'Français', locale: 'fr-FR' },
+    it: { name: 'Italiano', locale: 'it-IT' }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Labels ItineraryEngine.formatItineraryData writes into documents.
+ * English is complete; a key missing from another language falls back to it.
+ * {name} marks a value filled in by translate().
+ */
+const MESSAGES = {
+    en: {
+        day: 'Day {n}',
+        overnightStayAt: 'Overnight Stay: {hotel}',
+        overnightStay: 'Overnight stay',
+        noOvernightStay: 'No overnight stay',
+        defaultDescription: 'Activities for the day',
+        // Breakfast/lunch/dinner initials in "(B/L/D)"
+        mealCodes: 'B/L/D',
+        'meal.breakfast': 'Breakfast',
+        'meal.lunch': 'Lunch',
+        'meal.dinner': 'Dinner',
+        transport: 'Transport',
+        driveInfo: 'Drive from {from} to {to}: about {distance}, {duration}',
+        longDrive: ' (a long drive; consider breaking the journey)',
+        // Drive times, e.g. "5 h 20 min"
+        'duration.hours': '{hours} h',
+        'duration.minutes': '{minutes} min',
+        'duration.hoursMinutes': '{hours} h {minutes} min',
+        exchangeRate: '1 {currency} = {rate} {base} (rates of {date})'
+    },
+    de: {
+        day: 'Tag {n}',
+        overnightStayAt: 'Übernachtung: {hotel}',
+        overnightStay: 'Übernachtung',
+        noOvernightStay: 'Keine Übernachtung',
+        defaultDescription: 'Aktivitäten des Tages',
+        mealCodes: 'F/M/A',
+        'meal.breakfast': 'Frühstück',
+        'meal.lunch': 'Mittagessen',
+        'meal.dinner': 'Abendessen',
+        transport: 'Transport',
+        driveInfo: 'Fahrt von {from} nach {to}: etwa {distance}, {duration}',
+        longDrive: ' (eine lange Fahrt; eine Unterbrechung ist zu empfehlen)',
+        'duration.hours': '{hours} Std.',
+        'duration.minutes': '{minutes} Min.',
+        'duration.hoursMinutes': '{hours} Std. {minutes} Min.',
+        exchangeRate: '1 {currency} = {rate} {base} (Kurse vom {date})'
+    },
+    fr: {
+        day: 'Jour {n}',
+        overnightStayAt: 'Nuit : {hotel}',
+        overnightStay: 'Nuit sur place',
+        noOvernightStay: 'Pas de nuitée',
+        defaultDescription: 'Activités de la journée',
+        mealCodes: 'PD/DÉ/DÎ',
+        'meal.breakfast': 'Petit-déjeuner',
+        'meal.lunch': 'Déjeuner',
+        'meal.dinner': 'Dîner',
+        transport: 'Transport',
+        driveInfo: 'Trajet de {from} à {to} : environ {distance}, {duration}',
+        longDrive: ' (un long trajet ; pensez à faire une étape)',
+        'duration.hours': '{hours} h',
+        'duration.minutes': '{minutes} min',
+        'duration.hoursMinutes': '{hours} h {minutes} min',
+        exchangeRate: '1 {currency} = {rate} {base} (taux du {date})'
+    },
+    it: {
+        day: 'Giorno {n}',
+        overnightStayAt: 'Pernottamento: {hotel}',
+        overnightStay: 'Pernottamento',
+        noOvernightStay: 'Nessun pernottamento',
+        defaultDescription: 'Attività della giornata',
+        mealCodes: 'CO/PR/CE',
+        'meal.breakfast': 'Colazione',
+        'meal.lunch': 'Pranzo',
+        'meal.dinner': 'Cena',
+        transport: 'Trasporto',
+        driveInfo: 'Trasferimento da {from} a {to}: circa {distance}, {duration}',
+        longDrive: ' (un lungo trasferimento; valutate una sosta)',
+        'duration.hours': '{hours} h',
+        'duration.minutes': '{minutes} min',
+        'duration.hoursMinutes': '{hours} h {minutes} min',
+        exchangeRate: '1 {currency} = {rate} {base} (cambi del {date})'
+    }
+};
+
+/**
+ * @param {string} [language] - Language code
+ * @returns {string} - The code if supported, else DEFAULT_LANGUAGE
+ */
+function resolveLanguage(language) {
+    return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * @param {string} [language] - Language code
+ * @returns {string} - BCP 47 locale for Intl, e.g. 'de-DE'
+ */
+function localeOf(language) {
+    return LANGUAGES[resolveLanguage(language)].locale;
+}
+
+/**
+ * Look up a label, falling back to English
+ * @param {string} language - Language code
+ * @param {string} key - A key of MESSAGES.en
+ * @param {Object} [params] - Values for the {name} placeholders
+ * @returns {string}
+ */
+function translate(language, key, params = {}) {
+    const messages = MESSAGES[resolveLanguage(language)];
+    const message = messages[key] !== undefined ? messages[key] : MESSAGES[DEFAULT_LANGUAGE][key];
+    if (message === undefined) {
+        throw new Error(`Unknown message "${key}"`);
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+}
+
+/**
+ * Format a date for display, e.g. "5 Mar 2025", "5. März 2025", "5 mars 2025"
+ * @param {Date} date
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+function formatDate(date, language) {
+    return new Intl.DateTimeFormat(localeOf(language), { day: 'numeric', month: 'short', year: 'numeric' }).format(date);
+}
+
+/**
+ * Format a number with the language's separators
+ * @param {number} value
+ * @param {string} language - Language code
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string}
+ */
+function formatNumber(value, language, options = {}) {
+    return new Intl.NumberFormat(localeOf(language), options).format(value);
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    MESSAGES,
+    resolveLanguage,
+    localeOf,
+    translate,
+    formatDate,
+    formatNumber
+};
@@ -0,0 +1,153 @@
+// imageStore.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { JsonFile, writeFileAtomic } = require('./storage');
+
+// Formats accepted for upload, by what sharp reads from the file itself
+const ACCEPTED_FORMATS = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp'
+};
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Uploaded images of one kind (cover images, photos): the processed JPEG
+ * files in a directory and a JSON file of records keyed by user ID
+ */
+class ImageStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.prefix - ID prefix, e.g. "cover"
+     * @param {string} options.directory - Where the processed files are stored
+     * @param {string} options.recordsPath - JSON file holding the records
+     * @param {Function} options.ErrorClass - Error raised for unusable uploads, (message, status) => Error
+     */
+    constructor({ prefix, directory, recordsPath, ErrorClass }) {
+        this.prefix = prefix;
+        this.directory = directory;
+        this.recordsFile = new JsonFile(recordsPath, () => ({}));
+        this.ErrorClass = ErrorClass;
+        this.idPattern = new RegExp(`^${prefix}_[0-9a-f-]{36}$`);
+    }
+
+    /**
+     * @param {*} id
+     * @returns {boolean} - Whether it has the shape of an ID from this store
+     */
+    isId(id) {
+        return typeof id === 'string' && this.idPattern.test(id);
+    }
+
+    /**
+     * Where an image is stored. IDs are unique across users, so the path
+     * follows from the ID alone.
+     * @param {string} id - Image ID
+     * @returns {string|null} - null if the ID is not an ID from this store
+     */
+    filePath(id) {
+        if (!this.isId(id)) return null;
+        return path.join(this.directory, `${id}.jpg`);
+    }
+
+    /**
+     * Check that an upload is an accepted image
+     * @param {Buffer} buffer - The uploaded file
+     * @returns {Promise<Object>} - sharp metadata of the upload
+     * @throws {Error} - An ErrorClass error when the file is too large or not a JPEG, PNG or WebP image
+     */
+    async readUpload(buffer) {
+        if (buffer.length > MAX_UPLOAD_BYTES) {
+            throw new this.ErrorClass(`Images must be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`);
+        }
+
+        let metadata;
+        try {
+            metadata = await sharp(buffer).metadata();
+        } catch (error) {
+            throw new this.ErrorClass('File is not a readable image');
+        }
+        if (!ACCEPTED_FORMATS[metadata.format]) {
+            throw new this.ErrorClass(`Only ${Object.keys(ACCEPTED_FORMATS).map(f => f.toUpperCase()).join(', ')} images are allowed`);
+        }
+        return metadata;
+    }
+
+    /**
+     * @param {string} userId - Owner
+     * @returns {Promise<Array<Object>>} - The user's records
+     */
+    async list(userId) {
+        const all = await this.recordsFile.read();
+        return all[userId] || [];
+    }
+
+    /**
+     * @param {string} userId - Owner
+     * @param {string} id - Image ID
+     * @returns {Promise<Object|null>}
+     */
+    async get(userId, id) {
+        return (await this.list(userId)).find(record => record.id === id) || null;
+    }
+
+    /**
+     * Store a processed upload and record it
+     * @param {string} userId - Owner
+     * @param {Object} upload
+     * @param {Buffer} upload.buffer - The uploaded file, hashed into the record
+     * @param {string|null} upload.originalName - File name as uploaded
+     * @param {Buffer} processed - The JPEG to store
+     * @param {Object} [fields] - Extra fields for the record
+     * @returns {Promise<Object>} - The stored record
+     */
+    async add(userId, { buffer, originalName }, processed, fields = {}) {
+        const id = `${this.prefix}_${crypto.randomUUID()}`;
+        const record = {
+            id,
+            originalName,
+            ...fields,
+            size: processed.length,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            uploadedAt: new Date().toISOString()
+        };
+
+        await writeFileAtomic(this.filePath(id), processed);
+        return this.recordsFile.update((all) => {
+            const list = all[userId] || [];
+            list.push(record);
+            all[userId] = list;
+            return { ...record };
+        });
+    }
+
+    /**
+     * Remove a record and its file
+     * @param {string} userId - Owner
+     * @param {string} id - Image ID
+     * @param {Function} [checkUnused] - async () => void, throws while something uses the image;
+     *   runs under the records lock so the check and the removal are one step
+     * @returns {Promise<boolean>} - false if not found
+     */
+    async remove(userId, id, checkUnused = async () => {}) {
+        const removed = await this.recordsFile.update(async (all) => {
+            const list = all[userId] || [];
+            const index = list.findIndex(record => record.id === id);
+            if (index === -1) return false;
+
+            await checkUnused();
+            list.splice(index, 1);
+            return true;
+        });
+        if (removed) await fs.rm(this.filePath(id), { force: true });
+        return removed;
+    }
+}
+
+module.exports = {
+    ACCEPTED_FORMATS,
+    MAX_UPLOAD_BYTES,
+    ImageStore
+};
@@ -0,0 +1,335 @@
+// itinerarySchema.js
+const storage = require('./storage');
+const templates = require('./templates');
+const currency = require('./currency');
+const i18n = require('./i18n');
+const coverImages = require('./coverImages');
+const photos = require('./photos');
+
+/**
+ * Error raised when itinerary data does not match the schema
+ * @property {Array<{path: string, message: string}>} errors - One entry per invalid field
+ */
+class ValidationError extends Error {
+    constructor(errors, message = 'Itinerary validation failed') {
+        super(`${message}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+// Longest tour an itinerary may plan
+const MAX_DAYS = 90;
+
+const daySchema = {
+    type: 'object',
+    properties: {
+        day: { type: 'integer', min: 1 },
+        place: { type: 'string', required: true, minLength: 1 },
+        activity: { type: 'string' },
+        customActivity: { type: 'string' },
+        // Per traveller, overrides the catalog price (LKR)
+        activityPrice: { type: 'integer', min: 0 },
+        overnightStay: { type: 'boolean' },
+        hotel: { type: 'string' },
+        // Catalog record the hotel name was picked from (see hotels.js)
+        hotelId: { type: 'string', nullable: true },
+        customHotel: { type: 'string' },
+        // Per room per night, overrides the company's rate for the hotel type (LKR)
+        hotelRate: { type: 'integer', min: 0 },
+        description: { type: 'string' },
+        // Uploaded photos shown in the day's section (see photos.js). When
+        // unset the catalog activity's photos are shown; [] shows none.
+        photos: photos.photoListSchema,
+        meals: {
+            type: 'object',
+            properties: {
+                breakfast: { type: 'boolean' },
+                lunch: { type: 'boolean' },
+                dinner: { type: 'boolean' }
+            }
+        }
+    }
+};
+
+const itinerarySchema = {
+    type: 'object',
+    properties: {
+        itineraryName: { type: 'string', maxLength: 200 },
+        coverImage: { type: 'string', enum: ['default', 'custom'] },
+        // ID of an uploaded cover image (see coverImages.js)
+        customImage: { type: 'string', nullable: true },
+        templateId: { type: 'string', nullable: true },
+        currency: { type: 'string', enum: Object.keys(currency.CURRENCIES) },
+        // Language of the generated document; English when unset
+        language: { type: 'string', enum: Object.keys(i18n.LANGUAGES) },
+        touristName: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+        numberOfTravelers: { type: 'integer', required: true, min: 1, max: 500 },
+        tourStartDate: { type: 'string', required: true, format: 'date' },
+        numberOfDays: { type: 'integer', required: true, min: 1, max: MAX_DAYS },
+        route: { type: 'string', required: true, format: 'route' },
+        dailyPlans: { type: 'array', required: true, minItems: 1, maxItems: MAX_DAYS, items: daySchema }
+    }
+};
+
+const FORMATS = {
+    date: {
+        test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime()),
+        message: 'must be a date in YYYY-MM-DD format'
+    },
+    route: {
+        test: value => value.split(/\s*-\s*/).filter(Boolean).length >= 2,
+        message: 'must list at least two places separated by " - "'
+    },
+    email: {
+        test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()),
+        message: 'must be an email address'
+    }
+};
+
+/**
+ * Validate a value against a schema node, collecting errors.
+ * Integer fields accept numeric strings ("4") and are converted; an empty
+ * string in a non-string field (a blank form input) means the field is unset.
+ * @returns {*} - The normalized value
+ */
+function validateNode(schema, value, fieldPath, errors) {
+    if (value === undefined || value === null || value === '') {
+        if (schema.required) {
+            errors.push({ path: fieldPath, message: 'is required' });
+        } else if (value === null && !schema.nullable && schema.type !== 'string') {
+            errors.push({ path: fieldPath, message: `must be a ${schema.type}` });
+        }
+        return value === '' && schema.type !== 'string' ? undefined : value;
+    }
+
+    switch (schema.type) {
+        case 'string': {
+            if (typeof value !== 'string') {
+                errors.push({ path: fieldPath, message: 'must be a string' });
+                return value;
+            }
+            const trimmed = value.trim();
+            if (schema.minLength && trimmed.length < schema.minLength) {
+                errors.push({ path: fieldPath, message: 'must not be empty' });
+            } else if (schema.maxLength && value.length > schema.maxLength) {
+                errors.push({ path: fieldPath, message: `must be at most ${schema.maxLength} characters` });
+            } else if (schema.enum && !schema.enum.includes(value)) {
+                errors.push({ path: fieldPath, message: `must be one of: ${schema.enum.join(', ')}` });
+            } else if (schema.format && !FORMATS[schema.format].test(value)) {
+                errors.push({ path: fieldPath, message: FORMATS[schema.format].message });
+            }
+            return value;
+        }
+
+        case 'integer': {
+            const number = typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : value;
+            if (!Number.isInteger(number)) {
+                errors.push({ path: fieldPath, message: 'must be a whole number' });
+                return value;
+            }
+            if (schema.min !== undefined && number < schema.min) {
+                errors.push({ path: fieldPath, message: `must be at least ${schema.min}` });
+            } else if (schema.max !== undefined && number > schema.max) {
+                errors.push({ path: fieldPath, message: `must be at most ${schema.max}` });
+            }
+            return number;
+        }
+
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push({ path: fieldPath, message: 'must be true or false' });
+            }
+            return value;
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                errors.push({ path: fieldPath, message: 'must be a list' });
+                return value;
+            }
+            if (schema.minItems && value.length < schema.minItems) {
+                errors.push({ path: fieldPath, message: `must contain at least ${schema.minItems} item(s)` });
+            }
+            if (schema.maxItems && value.length > schema.maxItems) {
+                errors.push({ path: fieldPath, message: `must contain at most ${schema.maxItems} item(s)` });
+            }
+            return value.map((item, index) => validateNode(schema.items, item, `${fieldPath}[${index}]`, errors));
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push({ path: fieldPath, message: 'must be an object' });
+                return value;
+            }
+            // Unknown keys are kept as they are so the frontend can add fields freely
+            const result = { ...value };
+            for (const [key, propertySchema] of Object.entries(schema.properties)) {
+                const childPath = fieldPath ? `${fieldPath}.${key}` : key;
+                const normalized = validateNode(propertySchema, value[key], childPath, errors);
+                if (normalized !== undefined) result[key] = normalized;
+                else delete result[key];
+            }
+            return result;
+        }
+
+        default:
+            throw new Error(`Unknown schema type "${schema.type}"`);
+    }
+}
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Load the activity and hotel names that itineraries may reference
+ * @param {string} [userId] - Owner, whose own activities count as well as the shared ones
+ * @returns {Promise<{activities: Set<string>, hotels: Set<string>, hotelsById: Map<string, Object>, activityPhotos: Set<string>}>}
+ *   Normalized names, and the IDs of photos shown with those activities
+ */
+async function loadCatalogNames(userId) {
+    const activities = await storage.catalogs.activities(userId);
+    const hotels = await storage.catalogs.hotels();
+
+    return {
+        activities: new Set(activities.map(a => normalizeName(a.activity))),
+        hotels: new Set(hotels.map(h => normalizeName(h.name))),
+        hotelsById: new Map(hotels.map(h => [h.id, h])),
+        activityPhotos: new Set(activities.flatMap(a => photos.toPhotoList(a.photos).map(photo => photo.id)))
+    };
+}
+
+/**
+ * Checks that involve more than one field or the catalogs
+ */
+function validateRules(data, catalogs, errors) {
+    const days = Array.isArray(data.dailyPlans) ? data.dailyPlans : [];
+
+    if (Number.isInteger(data.numberOfDays) && days.length > 0 && days.length !== data.numberOfDays) {
+        errors.push({
+            path: 'dailyPlans',
+            message: `has ${days.length} day(s) but numberOfDays is ${data.numberOfDays}`
+        });
+    }
+
+    if (data.coverImage === 'custom' && !data.customImage) {
+        errors.push({ path: 'customImage', message: 'is required when coverImage is "custom"' });
+    } else if (typeof data.customImage === 'string' && data.customImage && !coverImages.coverImagePath(data.customImage)) {
+        errors.push({ path: 'customImage', message: 'must be the ID of a cover image uploaded to /api/cover-images' });
+    }
+
+    days.forEach((day, index) => {
+        if (!day || typeof day !== 'object') return;
+        const dayPath = `dailyPlans[${index}]`;
+        const customActivity = (day.customActivity || '').trim();
+        const customHotel = (day.customHotel || '').trim();
+
+        if (day.activity === 'custom' && !customActivity) {
+            errors.push({ path: `${dayPath}.customActivity`, message: 'is required when activity is "custom"' });
+        } else if (day.activity && day.activity !== 'custom' && !customActivity &&
+            catalogs && !catalogs.activities.has(normalizeName(day.activity))) {
+            errors.push({ path: `${dayPath}.activity`, message: `"${day.activity}" is not in the activity catalog` });
+        }
+
+        if (day.overnightStay) {
+            if (day.hotel === 'custom' && !customHotel) {
+                errors.push({ path: `${dayPath}.customHotel`, message: 'is required when hotel is "custom"' });
+            } else if (day.hotelId) {
+                // Picked by ID, so the stored name may predate a rename in the catalog
+                if (catalogs && !catalogs.hotelsById.has(day.hotelId)) {
+                    errors.push({ path: `${dayPath}.hotelId`, message: `"${day.hotelId}" is not in the hotel catalog` });
+                }
+            } else if (day.hotel && day.hotel !== 'custom' && !customHotel &&
+                catalogs && !catalogs.hotels.has(normalizeName(day.hotel))) {
+                errors.push({ path: `${dayPath}.hotel`, message: `"${day.hotel}" is not in the hotel catalog` });
+            }
+        }
+
+        (Array.isArray(day.photos) ? day.photos : []).forEach((photo, photoIndex) => {
+            if (photo && typeof photo.id === 'string' && photo.id && !photos.isPhotoId(photo.id)) {
+                errors.push({ path: `${dayPath}.photos[${photoIndex}].id`, message: 'must be the ID of a photo uploaded to /api/photos' });
+            }
+        });
+    });
+}
+
+/**
+ * Photos of the days that are neither the user's own nor shown with one of
+ * the activities they can see
+ */
+async function checkPhotoOwnership(data, userId, catalogs, errors) {
+    const own = new Set((await photos.listPhotos(userId)).map(record => record.id));
+    const shared = (catalogs || await loadCatalogNames(userId)).activityPhotos;
+    const days = Array.isArray(data.dailyPlans) ? data.dailyPlans : [];
+    days.forEach((day, index) => {
+        (day && Array.isArray(day.photos) ? day.photos : []).forEach((photo, photoIndex) => {
+            if (!photo || !photos.isPhotoId(photo.id)) return;
+            if (own.has(photo.id) || shared.has(photo.id)) return;
+            errors.push({ path: `dailyPlans[${index}].photos[${photoIndex}].id`, message: `"${photo.id}" is not one of your photos` });
+        });
+    });
+}
+
+/**
+ * Validate itinerary data against the schema, the cross-field rules and the catalogs
+ * @param {Object} data - Itinerary data as sent by the frontend
+ * @param {Object} [options]
+ * @param {boolean} [options.checkCatalogs=true] - Check activity and hotel names exist
+ * @param {string} [options.userId] - Owner; when given, templateId, customImage and day photos must be
+ *   one of their templates, cover images and photos, and their own activities are accepted
+ * @returns {Promise<{valid: boolean, errors: Array<{path: string, message: string}>, value: Object}>}
+ *   value is the normalized data (e.g. numberOfTravelers as a number)
+ */
+async function validateItinerary(data, { checkCatalogs = true, userId = null } = {}) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: [{ path: '', message: 'itinerary data must be an object' }], value: data };
+    }
+
+    const value = validateNode(itinerarySchema, data, '', errors);
+    const catalogs = checkCatalogs ? await loadCatalogNames(userId) : null;
+    validateRules(value, catalogs, errors);
+
+    if (userId) {
+        await checkPhotoOwnership(value, userId, catalogs, errors);
+    }
+
+    if (userId && typeof value.templateId === 'string' && value.templateId &&
+        !await templates.getTemplate(userId, value.templateId)) {
+        errors.push({ path: 'templateId', message: `"${value.templateId}" is not one of your templates` });
+    }
+
+    if (userId && coverImages.coverImagePath(value.customImage) &&
+        !await coverImages.getCoverImage(userId, value.customImage)) {
+        errors.push({ path: 'customImage', message: `"${value.customImage}" is not one of your cover images` });
+    }
+
+    if (value.currency && value.currency !== currency.BASE_CURRENCY &&
+        currency.CURRENCIES[value.currency] && !await currency.getRate(value.currency)) {
+        errors.push({ path: 'currency', message: `${value.currency} has no exchange rate; ask an administrator to add one` });
+    }
+
+    return { valid: errors.length === 0, errors, value };
+}
+
+/**
+ * Same as validateItinerary but throws a ValidationError when invalid
+ * @returns {Promise<Object>} - The normalized data
+ */
+async function assertValidItinerary(data, options) {
+    const result = await validateItinerary(data, options);
+    if (!result.valid) {
+        throw new ValidationError(result.errors);
+    }
+    return result.value;
+}
+
+module.exports = {
+    MAX_DAYS,
+    itinerarySchema,
+    validateNode,
+    validateItinerary,
+    assertValidItinerary,
+    ValidationError
+};
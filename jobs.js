@@ -0,0 +1,229 @@
+// jobs.js
+const EventEmitter = require('events');
+const path = require('path');
+const engine = require('./engine');
+const { JsonFile } = require('./storage');
+
+// Keyed by job ID; survives restarts so queued work is picked up again
+const jobsFile = new JsonFile(path.join(__dirname, 'evelodatabase', 'generationJobs.json'), () => ({}));
+
+// Stages reported by engine.processItinerary, in order
+const STAGES = ['map', 'render', 'convert'];
+const CONCURRENCY = parseInt(process.env.GENERATION_CONCURRENCY, 10) || 1;
+const JOB_RETENTION_MS = (parseInt(process.env.GENERATION_JOB_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+function generateJobId() {
+    return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Finished jobs are only kept long enough for the client to fetch the result
+function pruneFinished(jobs) {
+    const now = Date.now();
+    for (const id of Object.keys(jobs)) {
+        const job = jobs[id];
+        if (job.finishedAt && now - new Date(job.finishedAt).getTime() > JOB_RETENTION_MS) {
+            delete jobs[id];
+        }
+    }
+}
+
+/**
+ * Background queue for document generation.
+ * Emits 'update' with the job record whenever its status or stage changes.
+ */
+class GenerationJobs extends EventEmitter {
+    constructor() {
+        super();
+        this.queue = [];
+        this.running = 0;
+        this.started = false;
+    }
+
+    /**
+     * Load persisted jobs and resume the unfinished ones.
+     * Jobs that were running when the server stopped start again from the beginning.
+     * @returns {Promise<number>} - Number of jobs queued
+     */
+    async start() {
+        const pending = await jobsFile.update((jobs) => {
+            pruneFinished(jobs);
+            const unfinished = Object.values(jobs)
+                .filter(job => job.status === 'queued' || job.status === 'running')
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+            for (const job of unfinished) {
+                job.status = 'queued';
+                job.stage = null;
+                job.progress = 0;
+            }
+            return unfinished.map(job => job.id);
+        });
+
+        this.started = true;
+        this.queue.push(...pending);
+        if (pending.length > 0) {
+            console.log(`Resuming ${pending.length} document generation job(s)`);
+        }
+        this.processQueue();
+        return pending.length;
+    }
+
+    /**
+     * Queue generation for an itinerary. An unfinished job for the same
+     * itinerary is returned instead of starting a second one.
+     * @param {Object} itinerary - The itinerary record ({ id, userId })
+     * @returns {Promise<Object>} - The job record
+     */
+    async enqueue(itinerary) {
+        const job = await jobsFile.update((jobs) => {
+            pruneFinished(jobs);
+            const existing = Object.values(jobs).find(j =>
+                j.itineraryId === itinerary.id && (j.status === 'queued' || j.status === 'running'));
+            if (existing) return { ...existing, deduplicated: true };
+
+            const now = new Date().toISOString();
+            const created = {
+                id: generateJobId(),
+                itineraryId: itinerary.id,
+                userId: itinerary.userId,
+                status: 'queued',
+                stage: null,
+                progress: 0,
+                attempts: 0,
+                error: null,
+                result: null,
+                createdAt: now,
+                updatedAt: now,
+                finishedAt: null
+            };
+            jobs[created.id] = created;
+            return { ...created };
+        });
+
+        if (job.deduplicated) {
+            delete job.deduplicated;
+            return job;
+        }
+
+        this.emit('update', job);
+        this.queue.push(job.id);
+        this.processQueue();
+        return job;
+    }
+
+    /**
+     * Queue a failed job again
+     * @param {string} jobId - The job ID
+     * @returns {Promise<Object|null>} - The job record, or null if it is not failed
+     */
+    async retry(jobId) {
+        const job = await this.updateJob(jobId, (record) => {
+            if (record.status !== 'failed') return false;
+            record.status = 'queued';
+            record.stage = null;
+            record.progress = 0;
+            record.error = null;
+            record.finishedAt = null;
+        });
+        if (!job) return null;
+
+        this.queue.push(job.id);
+        this.processQueue();
+        return job;
+    }
+
+    /**
+     * @param {string} jobId - The job ID
+     * @returns {Promise<Object|null>}
+     */
+    async get(jobId) {
+        const jobs = await jobsFile.read();
+        return jobs[jobId] || null;
+    }
+
+    /**
+     * Apply a change to a stored job and emit 'update'
+     * @param {string} jobId - The job ID
+     * @param {Function} change - (job) => void; returning false leaves the job unchanged
+     * @returns {Promise<Object|null>} - The updated job, or null if not found or unchanged
+     */
+    async updateJob(jobId, change) {
+        const job = await jobsFile.update((jobs) => {
+            const record = jobs[jobId];
+            if (!record || change(record) === false) return null;
+            record.updatedAt = new Date().toISOString();
+            return { ...record };
+        });
+        if (job) this.emit('update', job);
+        return job;
+    }
+
+    // Start queued jobs while there is capacity
+    processQueue() {
+        if (!this.started) return;
+        while (this.running < CONCURRENCY && this.queue.length > 0) {
+            const jobId = this.queue.shift();
+            this.running++;
+            this.run(jobId)
+                .catch(error => console.error(`Error running generation job ${jobId}:`, error))
+                .finally(() => {
+                    this.running--;
+                    this.processQueue();
+                });
+        }
+    }
+
+    /**
+     * Run one job through the engine, recording each stage
+     * @param {string} jobId - The job ID
+     */
+    async run(jobId) {
+        const job = await this.updateJob(jobId, (record) => {
+            if (record.status !== 'queued') return false;
+            record.status = 'running';
+            record.attempts++;
+        });
+        if (!job) return;
+
+        try {
+            const result = await engine.processItinerary(job.itineraryId, {
+                onProgress: stage => this.updateJob(jobId, (record) => {
+                    record.stage = stage;
+                    record.progress = Math.round(STAGES.indexOf(stage) / STAGES.length * 100);
+                })
+            });
+
+            await this.updateJob(jobId, (record) => {
+                record.status = 'completed';
+                record.stage = null;
+                record.progress = 100;
+                record.finishedAt = new Date().toISOString();
+                record.result = {
+                    cached: result.cached,
+                    // File names in tempStore; links are signed when the job is read
+                    documentFile: path.basename(result.documentPath),
+                    docxFile: path.basename(result.docxPath),
+                    conversion: result.conversion
+                };
+            });
+        } catch (error) {
+            await this.updateJob(jobId, (record) => {
+                record.status = 'failed';
+                record.finishedAt = new Date().toISOString();
+                record.error = {
+                    name: error.name,
+                    message: error.message,
+                    code: error.code || null,
+                    details: error.errors || error.attempts || null,
+                    // The DOCX is kept when only the PDF conversion failed
+                    docxFile: error.docxPath ? path.basename(error.docxPath) : null
+                };
+            });
+        }
+    }
+}
+
+const generationJobs = new GenerationJobs();
+generationJobs.STAGES = STAGES;
+
+module.exports = generationJobs;
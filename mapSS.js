@@ -1,82 +1,155 @@
 // mapSS.js
-const axios = require('axios');
 const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const MAP_SVG_PATH = path.join(__dirname, 'public', 'public', 'map.svg');
+
+// Geographic extent covered by the viewBox of map.svg (0 0 332.07 600)
+const MAP_BOUNDS = {
+    north: 9.835,
+    south: 5.919,
+    west: 79.652,
+    east: 81.879,
+    width: 332.07,
+    height: 600
+};
+
+const MAP_STYLE = {
+    background: '#ffffff',
+    land: '#d6dbe0',
+    border: '#ffffff',
+    line: '#1d4e89',
+    marker: '#d7263d',
+    startMarker: '#2a9d8f',
+    endMarker: '#d7263d',
+    label: '#ffffff'
+};
+
+let mapOutline = null;
 
 /**
- * Generate and save a map screenshot
- * @param {string} route - Formatted route string (e.g., "&start;Colombo&Akkaraipattu&end;Matara")
- * @param {string} filePath - Path to save the screenshot (e.g., "./filename.png")
- * @param {string} [device='desktop'] - Device type: 'desktop', 'tablet', or 'phone'
- * @returns {Promise<void>} - Resolves when screenshot is saved
+ * Read the inner markup of map.svg once, recoloured for print
+ * @returns {string} - The <path> elements of the Sri Lanka outline
  */
-async function captureMapScreenshot(route, filePath, device = 'desktop') {
-    try {
-        console.log(`Capturing map screenshot for route: ${route} on device: ${device}`);
-        // Construct the full URL
-        const baseUrl = 'https://map-framer-orpin.vercel.app/#';
-        const fullUrl = baseUrl + route;
-        
-        // Capture the screenshot
-        const response = await ssweb(fullUrl, device);
-        
-        // Save the file
-        fs.writeFileSync(filePath, response.result);
-        console.log(`Screenshot saved successfully to ${filePath}`);
-    } catch (error) {
-        console.error('Error capturing map screenshot:', error);
-        throw error; // Re-throw to allow caller to handle
-    }
+function getMapOutline() {
+    if (mapOutline) return mapOutline;
+
+    const svg = fs.readFileSync(MAP_SVG_PATH, 'utf8');
+    const inner = svg.slice(svg.indexOf('>', svg.indexOf('<svg')) + 1, svg.lastIndexOf('</svg>'));
+    mapOutline = inner
+        .replace(/<desc[\s\S]*?<\/desc>/g, '')
+        .replace(/fill="[^"]*"/g, `fill="${MAP_STYLE.land}"`)
+        .replace(/stroke="[^"]*"/g, `stroke="${MAP_STYLE.border}"`);
+
+    return mapOutline;
+}
+
+/**
+ * Project a latitude/longitude onto the map.svg viewBox
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {{x: number, y: number}} - Position in map.svg units
+ */
+function projectPoint(latitude, longitude) {
+    return {
+        x: (longitude - MAP_BOUNDS.west) / (MAP_BOUNDS.east - MAP_BOUNDS.west) * MAP_BOUNDS.width,
+        y: (MAP_BOUNDS.north - latitude) / (MAP_BOUNDS.north - MAP_BOUNDS.south) * MAP_BOUNDS.height
+    };
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, ch => ({
+        '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+    })[ch]);
 }
 
 /**
- * Capture a screenshot using ScreenshotMachine
- * @param {string} url - The URL to capture
- * @param {string} device - 'desktop', 'tablet', or 'phone' (default: 'desktop')
- * @returns {Promise<{status: number, result: Buffer}>} - Resolves with the screenshot image buffer
+ * Build the SVG markup for a route drawn over the Sri Lanka outline
+ * @param {Array<{name: string, latitude: number, longitude: number}>} stops - Route stops in order
+ * @param {Object} [options]
+ * @param {number} [options.width=614] - Output width in pixels
+ * @param {number} [options.height=840] - Output height in pixels
+ * @returns {string} - SVG document
  */
-function ssweb(url, device = 'desktop') {
-    return new Promise((resolve, reject) => {
-        const base = 'https://www.screenshotmachine.com';
-        const param = {
-            url: url,
-            device: device,
-            cacheLimit: 0
-        };
-
-        axios({
-            url: base + '/capture.php',
-            method: 'POST',
-            data: new URLSearchParams(Object.entries(param)),
-            headers: {
-                'content-type': 'application/x-www-form-urlencoded; charset=UTF-8'
-            }
-        }).then((response) => {
-            const cookies = response.headers['set-cookie'];
-
-            if (response.data.status === 'success') {
-                axios.get(base + '/' + response.data.link, {
-                    headers: {
-                        'cookie': cookies.join('')
-                    },
-                    responseType: 'arraybuffer'
-                }).then(({ data }) => {
-                    resolve({
-                        status: 200,
-                        result: data
-                    });
-                });
-            } else {
-                reject({
-                    status: 404,
-                    message: 'Link Error',
-                    data: response.data
-                });
-            }
-        }).catch(reject);
+function buildRouteSvg(stops, { width = 614, height = 840 } = {}) {
+    const padding = 20;
+    const scale = Math.min(
+        (width - padding * 2) / MAP_BOUNDS.width,
+        (height - padding * 2) / MAP_BOUNDS.height
+    );
+    const offsetX = (width - MAP_BOUNDS.width * scale) / 2;
+    const offsetY = (height - MAP_BOUNDS.height * scale) / 2;
+
+    const points = stops.map(stop => {
+        const { x, y } = projectPoint(stop.latitude, stop.longitude);
+        return { ...stop, x: offsetX + x * scale, y: offsetY + y * scale };
+    });
+
+    // Stops visited more than once share one marker ("1,4")
+    const markers = [];
+    points.forEach((point, index) => {
+        const existing = markers.find(m => Math.abs(m.x - point.x) < 1 && Math.abs(m.y - point.y) < 1);
+        if (existing) {
+            existing.numbers.push(index + 1);
+            existing.isEnd = index === points.length - 1;
+        } else {
+            markers.push({ ...point, numbers: [index + 1], isStart: index === 0, isEnd: index === points.length - 1 });
+        }
     });
+
+    const line = points.length > 1
+        ? `<polyline points="${points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}" fill="none" stroke="${MAP_STYLE.line}" stroke-width="4" stroke-linejoin="round" stroke-linecap="round" stroke-dasharray="10 6"/>`
+        : '';
+
+    const markerSvg = markers.map(marker => {
+        const label = marker.numbers.join(',');
+        const radius = 11 + (label.length - 1) * 3;
+        const color = marker.isStart ? MAP_STYLE.startMarker : (marker.isEnd ? MAP_STYLE.endMarker : MAP_STYLE.marker);
+        // Names on the east coast go left of the marker so they stay on the image
+        const labelOnLeft = marker.x > width * 0.6;
+        const labelX = labelOnLeft ? marker.x - radius - 4 : marker.x + radius + 4;
+        return `<g>
+            <circle cx="${marker.x.toFixed(1)}" cy="${marker.y.toFixed(1)}" r="${radius}" fill="${color}" stroke="#ffffff" stroke-width="2"/>
+            <text x="${marker.x.toFixed(1)}" y="${(marker.y + 5).toFixed(1)}" font-family="sans-serif" font-size="14" font-weight="bold" fill="${MAP_STYLE.label}" text-anchor="middle">${escapeXml(label)}</text>
+            <text x="${labelX.toFixed(1)}" y="${(marker.y + 5).toFixed(1)}" font-family="sans-serif" font-size="15" font-weight="bold" fill="${MAP_STYLE.line}" stroke="#ffffff" stroke-width="3" paint-order="stroke" text-anchor="${labelOnLeft ? 'end' : 'start'}">${escapeXml(marker.name)}</text>
+        </g>`;
+    }).join('\n');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+        <rect width="${width}" height="${height}" fill="${MAP_STYLE.background}"/>
+        <g transform="translate(${offsetX.toFixed(2)} ${offsetY.toFixed(2)}) scale(${scale.toFixed(4)})">${getMapOutline()}</g>
+        ${line}
+        ${markerSvg}
+    </svg>`;
+}
+
+/**
+ * Draw a route on the Sri Lanka map and save it as a JPG
+ * @param {Array<{name: string, latitude: number, longitude: number}>} stops - Route stops in order
+ * @param {string} filePath - Path to save the image (e.g., "./filename.jpg")
+ * @param {Object} [options] - Output size, see buildRouteSvg
+ * @returns {Promise<void>} - Resolves when the image is saved
+ */
+async function renderRouteMap(stops, filePath, options = {}) {
+    try {
+        console.log(`Rendering route map for: ${stops.map(stop => stop.name).join(' - ')}`);
+        const svg = buildRouteSvg(stops, options);
+
+        await sharp(Buffer.from(svg))
+            .flatten({ background: MAP_STYLE.background })
+            .jpeg({ quality: 90 })
+            .toFile(filePath);
+
+        console.log(`Route map saved successfully to ${filePath}`);
+    } catch (error) {
+        console.error('Error rendering route map:', error);
+        throw error; // Re-throw to allow caller to handle
+    }
 }
 
 module.exports = {
-    captureMapScreenshot,
-    ssweb
-};
\ No newline at end of file
+    renderRouteMap,
+    buildRouteSvg,
+    projectPoint
+};
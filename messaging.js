@@ -0,0 +1,156 @@
+// messaging.js
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+
+const OUTBOX_PATH = process.env.MESSAGING_OUTBOX || path.join(__dirname, 'db', 'temp', 'outbox.log');
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '94';
+
+// The console provider logs codes instead of delivering them, so it is only
+// the default outside production; there it must be chosen explicitly
+const DEFAULT_PROVIDER = process.env.NODE_ENV === 'production' ? null : 'console';
+
+// Provider used for each channel, e.g. OTP_PHONE_PROVIDER=whatsapp
+const CHANNEL_PROVIDERS = {
+    phone: process.env.OTP_PHONE_PROVIDER || DEFAULT_PROVIDER,
+    email: process.env.OTP_EMAIL_PROVIDER || DEFAULT_PROVIDER
+};
+
+for (const [channel, providerName] of Object.entries(CHANNEL_PROVIDERS)) {
+    if (!providerName) {
+        console.warn(`OTP_${channel.toUpperCase()}_PROVIDER is not set, reset codes cannot be sent by ${channel}.`);
+    }
+}
+
+/**
+ * Turn a local number ("0704281955") into international digits ("94704281955")
+ * @param {string} phone - Phone number as entered at registration
+ * @returns {string}
+ */
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/[^\d]/g, '');
+    if (digits.startsWith('00')) return digits.slice(2);
+    if (digits.startsWith('0')) return DEFAULT_COUNTRY_CODE + digits.slice(1);
+    return digits;
+}
+
+/**
+ * Development provider: prints the message and appends it to the outbox file
+ * so tests and developers can read the code without a real gateway
+ */
+async function consoleSend({ channel, to, subject, text }) {
+    const entry = { channel, to, subject, text, sentAt: new Date().toISOString() };
+    console.log(`[messaging] ${channel} message to ${to}: ${text}`);
+
+    await fs.mkdir(path.dirname(OUTBOX_PATH), { recursive: true });
+    await fs.appendFile(OUTBOX_PATH, JSON.stringify(entry) + '\n', 'utf8');
+}
+
+/**
+ * WhatsApp Cloud API provider (WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID)
+ */
+async function whatsappSend({ to, text }) {
+    const token = process.env.WHATSAPP_TOKEN;
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    if (!token || !phoneNumberId) {
+        throw new Error('WhatsApp provider is not configured (WHATSAPP_TOKEN, WHATSAPP_PHONE_NUMBER_ID)');
+    }
+
+    await axios.post(
+        `https://graph.facebook.com/v19.0/${phoneNumberId}/messages`,
+        {
+            messaging_product: 'whatsapp',
+            to: normalizePhone(to),
+            type: 'text',
+            text: { body: text }
+        },
+        { headers: { Authorization: `Bearer ${token}` } }
+    );
+}
+
+/**
+ * Generic HTTP SMS gateway provider (SMS_GATEWAY_URL, SMS_API_KEY)
+ */
+async function smsSend({ to, text }) {
+    const url = process.env.SMS_GATEWAY_URL;
+    if (!url) {
+        throw new Error('SMS provider is not configured (SMS_GATEWAY_URL)');
+    }
+
+    await axios.post(
+        url,
+        { to: normalizePhone(to), message: text },
+        { headers: { Authorization: `Bearer ${process.env.SMS_API_KEY || ''}` } }
+    );
+}
+
+/**
+ * Generic HTTP email API provider (EMAIL_API_URL, EMAIL_API_KEY, EMAIL_FROM)
+ */
+async function emailSend({ to, subject, text }) {
+    const url = process.env.EMAIL_API_URL;
+    if (!url) {
+        throw new Error('Email provider is not configured (EMAIL_API_URL)');
+    }
+
+    await axios.post(
+        url,
+        { from: process.env.EMAIL_FROM || 'no-reply@eurolanka.de', to, subject, text },
+        { headers: { Authorization: `Bearer ${process.env.EMAIL_API_KEY || ''}` } }
+    );
+}
+
+// Registered messaging providers, keyed by name
+const providers = {
+    console: consoleSend,
+    whatsapp: whatsappSend,
+    sms: smsSend,
+    email: emailSend
+};
+
+/**
+ * Register an additional messaging provider
+ * @param {string} name - Name used in OTP_PHONE_PROVIDER / OTP_EMAIL_PROVIDER
+ * @param {Function} send - async ({ channel, to, subject, text }) => void
+ */
+function registerProvider(name, send) {
+    if (typeof send !== 'function') {
+        throw new Error(`Messaging provider "${name}" must be a function`);
+    }
+    providers[name] = send;
+}
+
+/**
+ * Send a message through the provider configured for its channel
+ * @param {Object} message
+ * @param {string} message.channel - 'phone' or 'email'
+ * @param {string} message.to - Phone number or email address
+ * @param {string} [message.subject] - Subject line (email only)
+ * @param {string} message.text - Message body
+ * @returns {Promise<{provider: string}>} - The provider that sent the message
+ */
+async function sendMessage({ channel, to, subject = '', text }) {
+    if (!(channel in CHANNEL_PROVIDERS)) {
+        throw new Error(`Unknown messaging channel "${channel}"`);
+    }
+
+    const providerName = CHANNEL_PROVIDERS[channel];
+    if (!providerName) {
+        throw new Error(`No messaging provider is configured for ${channel} (OTP_${channel.toUpperCase()}_PROVIDER)`);
+    }
+
+    const send = providers[providerName];
+    if (!send) {
+        throw new Error(`Unknown messaging provider "${providerName}"`);
+    }
+
+    await send({ channel, to, subject, text });
+    return { provider: providerName };
+}
+
+module.exports = {
+    sendMessage,
+    registerProvider,
+    normalizePhone,
+    providers
+};
@@ -0,0 +1,87 @@
+// migrateCoverImages.js
+const storage = require('./storage');
+const revisions = require('./revisions');
+const coverImages = require('./coverImages');
+
+const DATA_URL_PATTERN = /^data:image\/[\w.+-]+;base64,(.*)$/s;
+
+function isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:');
+}
+
+// The bytes of a base64 image data URL (what FileReader.readAsDataURL gives), or null
+function decodeDataUrl(value) {
+    const match = DATA_URL_PATTERN.exec(value);
+    return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+/**
+ * Move cover images stored as data URLs in itinerary data (as the old editor
+ * saved them) into uploaded cover images, and put their IDs in customImage.
+ * Revisions are rewritten too, so restoring one gives a valid itinerary.
+ * Covers that are not usable images are dropped in favour of the default cover.
+ * Safe to run more than once: only data URLs are touched.
+ * @returns {Promise<number>} - Number of itineraries and revisions migrated
+ */
+async function migrateCoverImages() {
+    const owners = new Map();
+    for (const [userId, itineraries] of Object.entries(await storage.files.itineraries.read())) {
+        for (const itineraryId of Object.keys(itineraries || {})) owners.set(itineraryId, userId);
+    }
+
+    // The same picture is often in an itinerary and all its revisions; store it once per owner
+    const uploaded = new Map();
+    const migrateData = async (data, userId) => {
+        if (!data || !isDataUrl(data.customImage)) return false;
+
+        const key = `${userId}|${data.customImage}`;
+        if (!uploaded.has(key)) {
+            const buffer = userId ? decodeDataUrl(data.customImage) : null;
+            let id = null;
+            if (buffer) {
+                try {
+                    id = (await coverImages.addCoverImage(userId, { buffer })).id;
+                } catch (error) {
+                    if (!(error instanceof coverImages.CoverImageError)) throw error;
+                    console.warn(`Dropping a cover image of ${userId} that cannot be used: ${error.message}`);
+                }
+            }
+            uploaded.set(key, id);
+        }
+
+        const id = uploaded.get(key);
+        data.customImage = id;
+        if (!id) data.coverImage = 'default';
+        return true;
+    };
+
+    const itineraries = await storage.files.itineraries.update(async (all) => {
+        let count = 0;
+        for (const [userId, records] of Object.entries(all)) {
+            for (const itinerary of Object.values(records || {})) {
+                if (await migrateData(itinerary.data, userId)) count++;
+            }
+        }
+        return count;
+    });
+    const snapshots = await revisions.updateRevisionData(
+        (data, itineraryId) => migrateData(data, owners.get(itineraryId) || null));
+
+    const migrated = itineraries + snapshots;
+    if (migrated > 0) {
+        const stored = [...uploaded.values()].filter(Boolean).length;
+        console.log(`Stored ${stored} data URL cover image(s) as uploads, from ${itineraries} itinerar${itineraries === 1 ? 'y' : 'ies'} and ${snapshots} revision(s)`);
+    }
+    return migrated;
+}
+
+if (require.main === module) {
+    migrateCoverImages()
+        .then(count => console.log(`Cover image migration complete (${count} migrated)`))
+        .catch(error => {
+            console.error('Cover image migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateCoverImages;
@@ -0,0 +1,110 @@
+// migrateHotels.js
+const crypto = require('crypto');
+const storage = require('./storage');
+const revisions = require('./revisions');
+const { toRecord, matchHotelByName } = require('./hotels');
+
+// Records from before the catalog was normalized have no roomTypes list
+function isLegacyRecord(record) {
+    return !Array.isArray(record.roomTypes);
+}
+
+/**
+ * Point days that name a catalog hotel at its record through hotelId, so a
+ * later rename of the hotel does not orphan them. Days whose name matches no
+ * record, or several in other places, are left as they are.
+ * @param {Object} data - Itinerary data, changed in place
+ * @param {Array<Object>} hotels - Catalog records
+ * @returns {boolean} - Whether a day was linked
+ */
+function linkDays(data, hotels) {
+    let changed = false;
+    for (const day of (data && Array.isArray(data.dailyPlans) ? data.dailyPlans : [])) {
+        if (!day || day.hotelId || !day.overnightStay || !day.hotel || day.hotel === 'custom' ||
+            (day.customHotel || '').trim()) continue;
+        const hotel = matchHotelByName(day, hotels);
+        if (hotel) {
+            day.hotelId = hotel.id;
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+/**
+ * Split the old hotel catalog, where one entry packs several properties into a
+ * comma-separated name, into one record per property with the full field set,
+ * then fill hotelId into itinerary days (and stored revisions) that picked a hotel by name.
+ * Safe to run more than once: normalized records and linked days are left as they are.
+ * @returns {Promise<number>} - Number of legacy entries migrated
+ */
+async function migrateHotels() {
+    const migrated = await splitLegacyRecords();
+
+    const hotels = await storage.catalogs.hotels();
+    let linked = await storage.files.itineraries.update((all) => {
+        let count = 0;
+        for (const itineraries of Object.values(all)) {
+            for (const itinerary of Object.values(itineraries || {})) {
+                if (linkDays(itinerary.data, hotels)) count++;
+            }
+        }
+        return count;
+    });
+    linked += await revisions.updateRevisionData(data => linkDays(data, hotels));
+    if (linked > 0) {
+        console.log(`Linked the hotels of ${linked} itineraries and revisions to the hotel catalog`);
+    }
+
+    return migrated;
+}
+
+async function splitLegacyRecords() {
+    const hotels = await storage.catalogs.hotels();
+    if (!hotels.some(isLegacyRecord)) {
+        return 0;
+    }
+
+    const migrated = await storage.files.hotels.update((records) => {
+        const now = new Date().toISOString();
+        const normalized = records.filter(record => !isLegacyRecord(record));
+        const seen = new Set(normalized.map(record => `${record.city}|${record.name}`.toLowerCase()));
+        let count = 0;
+
+        for (const record of records.filter(isLegacyRecord)) {
+            for (const name of String(record.name || '').split(',')) {
+                const hotel = toRecord({ name, city: record.city, type: record.type });
+                const key = `${hotel.city}|${hotel.name}`.toLowerCase();
+                if (!hotel.name || seen.has(key)) continue;
+                seen.add(key);
+                normalized.push({
+                    id: crypto.randomUUID(),
+                    ...hotel,
+                    // The entry this property was split from
+                    legacyId: record.id,
+                    createdAt: now,
+                    createdBy: null,
+                    updatedAt: now
+                });
+            }
+            count++;
+        }
+
+        records.splice(0, records.length, ...normalized);
+        return count;
+    });
+
+    console.log(`Split ${migrated} hotel catalog entr${migrated === 1 ? 'y' : 'ies'} in ${storage.files.hotels.filePath}`);
+    return migrated;
+}
+
+if (require.main === module) {
+    migrateHotels()
+        .then(count => console.log(`Hotel catalog migration complete (${count} migrated)`))
+        .catch(error => {
+            console.error('Hotel catalog migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateHotels;
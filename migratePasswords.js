@@ -0,0 +1,40 @@
+// migratePasswords.js
+const { hashPassword, isPasswordHash } = require('./auth');
+const storage = require('./storage');
+
+/**
+ * Hash every plaintext password left in users.json.
+ * Safe to run more than once: records that already hold a hash are skipped.
+ * @returns {Promise<number>} - Number of records migrated
+ */
+async function migratePasswords() {
+    const users = await storage.users.list();
+    if (users.every(user => !user.password || isPasswordHash(user.password))) {
+        return 0;
+    }
+
+    const migrated = await storage.files.users.update(async (records) => {
+        let count = 0;
+        for (const user of records) {
+            if (user && user.password && !isPasswordHash(user.password)) {
+                user.password = await hashPassword(user.password);
+                count++;
+            }
+        }
+        return count;
+    });
+
+    console.log(`Hashed ${migrated} plaintext password(s) in ${storage.files.users.filePath}`);
+    return migrated;
+}
+
+if (require.main === module) {
+    migratePasswords()
+        .then(count => console.log(`Password migration complete (${count} migrated)`))
+        .catch(error => {
+            console.error('Password migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migratePasswords;
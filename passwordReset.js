@@ -0,0 +1,158 @@
+// passwordReset.js
+const crypto = require('crypto');
+const path = require('path');
+const { sendMessage } = require('./messaging');
+const { JsonFile } = require('./storage');
+
+const resetsFile = new JsonFile(path.join(__dirname, 'evelodatabase', 'passwordResets.json'), () => ({}));
+const CODE_TTL_MS = (parseInt(process.env.OTP_TTL_MINUTES, 10) || 10) * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const RESEND_INTERVAL_MS = 60 * 1000;
+const MAX_CODES_PER_HOUR = parseInt(process.env.OTP_MAX_CODES_PER_HOUR, 10) || 5;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Each user's entry holds the current code (if any) and when codes were
+// requested in the last hour. Expired codes and older requests are dropped
+// whenever the file is written.
+function pruneExpired(resets) {
+    const now = Date.now();
+    for (const userId of Object.keys(resets)) {
+        const reset = resets[userId];
+        if (reset.codeHash && new Date(reset.expiresAt).getTime() <= now) clearCode(reset);
+        reset.requestedAt = (reset.requestedAt || []).filter(at => now - new Date(at).getTime() < HOUR_MS);
+        if (!reset.codeHash && reset.requestedAt.length === 0) delete resets[userId];
+    }
+}
+
+function clearCode(reset) {
+    delete reset.codeHash;
+    delete reset.channel;
+    delete reset.createdAt;
+    delete reset.expiresAt;
+    delete reset.attempts;
+}
+
+function hashCode(userId, code) {
+    return crypto.createHash('sha256').update(`${userId}:${code}`).digest('hex');
+}
+
+/**
+ * Pick where to send the code from the user's companyInfo
+ * @param {Object} user - The user record
+ * @param {string} [channel] - 'phone' or 'email'; defaults to phone, then email
+ * @returns {{channel: string, destination: string}|null}
+ */
+function resolveDestination(user, channel) {
+    const info = user.companyInfo || {};
+    const options = [
+        { channel: 'phone', destination: info.phone },
+        { channel: 'email', destination: info.email }
+    ].filter(option => option.destination && (!channel || option.channel === channel));
+
+    return options[0] || null;
+}
+
+/**
+ * Create a one-time code for a user and send it to their phone or email
+ * @param {Object} user - The user record
+ * @param {string} [channel] - 'phone' or 'email'
+ * @returns {Promise<{sent: boolean, reason?: string, channel?: string, expiresAt?: string}>}
+ */
+async function requestReset(user, channel) {
+    const target = resolveDestination(user, channel);
+    if (!target) {
+        return { sent: false, reason: 'NO_DESTINATION' };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const codeHash = hashCode(user.id, code);
+    const now = Date.now();
+    const expiresAt = new Date(now + CODE_TTL_MS).toISOString();
+
+    // Check and reserve in one write, so concurrent requests cannot all send a code
+    const refused = await resetsFile.update((resets) => {
+        pruneExpired(resets);
+        const reset = resets[user.id] || { requestedAt: [] };
+        const lastRequest = reset.requestedAt[reset.requestedAt.length - 1];
+
+        if (lastRequest && now - new Date(lastRequest).getTime() < RESEND_INTERVAL_MS) {
+            return 'TOO_SOON';
+        }
+        if (reset.requestedAt.length >= MAX_CODES_PER_HOUR) {
+            return 'TOO_MANY_REQUESTS';
+        }
+
+        reset.requestedAt.push(new Date(now).toISOString());
+        Object.assign(reset, {
+            codeHash,
+            channel: target.channel,
+            createdAt: new Date(now).toISOString(),
+            expiresAt,
+            attempts: 0
+        });
+        resets[user.id] = reset;
+        return null;
+    });
+    if (refused) {
+        return { sent: false, reason: refused };
+    }
+
+    try {
+        await sendMessage({
+            channel: target.channel,
+            to: target.destination,
+            subject: 'Your password reset code',
+            text: `Your EuroLanka password reset code is ${code}. It expires in ${Math.round(CODE_TTL_MS / 60000)} minutes.`
+        });
+    } catch (error) {
+        // A code that never arrived must not stay valid; the request still counts
+        await resetsFile.update((resets) => {
+            const reset = resets[user.id];
+            if (reset && reset.codeHash === codeHash) clearCode(reset);
+            pruneExpired(resets);
+        });
+        throw error;
+    }
+
+    return { sent: true, channel: target.channel, expiresAt };
+}
+
+/**
+ * Check a code. A wrong code uses up one attempt; the code is removed once
+ * it has been used, has expired or has run out of attempts. At most
+ * OTP_MAX_CODES_PER_HOUR codes are sent, so attempts are capped per hour too.
+ * @param {Object} user - The user record
+ * @param {string} code - The code the user typed
+ * @returns {Promise<{valid: boolean, reason?: string, attemptsLeft?: number}>}
+ */
+async function verifyResetCode(user, code) {
+    return resetsFile.update((resets) => {
+        pruneExpired(resets);
+        const reset = resets[user.id];
+
+        // Expired codes were just pruned, so a missing code may also be an expired one
+        if (!reset || !reset.codeHash) {
+            return { valid: false, reason: 'NO_CODE' };
+        }
+
+        const expected = Buffer.from(reset.codeHash, 'hex');
+        const actual = Buffer.from(hashCode(user.id, String(code || '').trim()), 'hex');
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            reset.attempts++;
+            const attemptsLeft = MAX_ATTEMPTS - reset.attempts;
+            if (attemptsLeft <= 0) {
+                clearCode(reset);
+                return { valid: false, reason: 'TOO_MANY_ATTEMPTS', attemptsLeft: 0 };
+            }
+            return { valid: false, reason: 'INVALID_CODE', attemptsLeft };
+        }
+
+        clearCode(reset);
+        return { valid: true };
+    });
+}
+
+module.exports = {
+    requestReset,
+    verifyResetCode
+};
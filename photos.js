@@ -0,0 +1,203 @@
+// photos.js
+const path = require('path');
+const sharp = require('sharp');
+const storage = require('./storage');
+const revisions = require('./revisions');
+const { ImageStore } = require('./imageStore');
+
+// Longest side photos are stored at; enough for a half-page picture in print
+const MAX_PHOTO_EDGE = 1600;
+
+// At most this many photos are shown for one day
+const MAX_PHOTOS_PER_DAY = 6;
+
+/**
+ * How days and catalog activities point at photos:
+ * [{ id, caption }], with a caption shown under the photo in the document
+ */
+const photoListSchema = {
+    type: 'array',
+    maxItems: MAX_PHOTOS_PER_DAY,
+    items: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', required: true, minLength: 1 },
+            caption: { type: 'string', maxLength: 200 }
+        }
+    }
+};
+
+/**
+ * Error raised for an upload that is not a usable image, or a photo the user may not remove
+ * @property {number} status - HTTP status to answer with
+ * @property {Array<string>} [itineraryIds] - Itineraries in the way, for a 409
+ * @property {Array<string>} [activityIds] - Catalog activities in the way, for a 409
+ */
+class PhotoError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PhotoError';
+        this.status = status;
+    }
+}
+
+const store = new ImageStore({
+    prefix: 'photo',
+    directory: path.join(__dirname, 'db', 'img', 'photos'),
+    recordsPath: path.join(__dirname, 'evelodatabase', 'photos.json'),
+    ErrorClass: PhotoError
+});
+
+/**
+ * Where a photo is stored
+ * @param {string} id - Photo ID
+ * @returns {string|null} - null if the ID is not a photo ID
+ */
+function photoPath(id) {
+    return store.filePath(id);
+}
+
+/**
+ * @param {*} id
+ * @returns {boolean} - Whether it has the shape of a photo ID
+ */
+function isPhotoId(id) {
+    return store.isId(id);
+}
+
+/**
+ * Check an upload, turn it upright and shrink it to MAX_PHOTO_EDGE
+ * @param {Buffer} buffer - The uploaded file
+ * @returns {Promise<{buffer: Buffer, width: number, height: number, format: string}>}
+ * @throws {PhotoError} - When the file is not a JPEG, PNG or WebP image
+ */
+async function processPhoto(buffer) {
+    const metadata = await store.readUpload(buffer);
+
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize(MAX_PHOTO_EDGE, MAX_PHOTO_EDGE, { fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+
+    return { buffer: data, width: info.width, height: info.height, format: metadata.format };
+}
+
+/**
+ * @param {string} userId - Owner
+ * @returns {Promise<Array<Object>>} - The user's photo records
+ */
+function listPhotos(userId) {
+    return store.list(userId);
+}
+
+/**
+ * @param {string} userId - Owner
+ * @param {string} id - Photo ID
+ * @returns {Promise<Object|null>}
+ */
+function getPhoto(userId, id) {
+    return store.get(userId, id);
+}
+
+/**
+ * Whether a user may see a photo: their own, or one shown with an activity they can see
+ * @param {string} userId - The signed-in user
+ * @param {string} id - Photo ID
+ * @returns {Promise<boolean>}
+ */
+async function canViewPhoto(userId, id) {
+    if (await getPhoto(userId, id)) return true;
+    const activities = await storage.catalogs.activities(userId);
+    return activities.some(activity => toPhotoList(activity.photos).some(photo => photo.id === id));
+}
+
+/**
+ * Store an uploaded photo
+ * @param {string} userId - Owner
+ * @param {Object} upload
+ * @param {Buffer} upload.buffer - The uploaded file
+ * @param {string} [upload.originalName] - File name as uploaded
+ * @returns {Promise<Object>} - The stored record
+ * @throws {PhotoError} - When the file is not a usable image
+ */
+async function addPhoto(userId, { buffer, originalName = null }) {
+    const processed = await processPhoto(buffer);
+    return store.add(userId, { buffer, originalName }, processed.buffer, {
+        format: processed.format,
+        width: processed.width,
+        height: processed.height
+    });
+}
+
+/**
+ * Itineraries and catalog activities that show a photo; itineraries count
+ * while a stored revision they can be restored to shows it
+ * @param {string} id - Photo ID
+ * @returns {Promise<{itineraryIds: Array<string>, activityIds: Array<string>}>}
+ */
+async function findPhotoReferences(id) {
+    const uses = list => Array.isArray(list) && list.some(photo => photo && photo.id === id);
+    const showsPhoto = data => Array.isArray(data.dailyPlans) && data.dailyPlans.some(day => day && uses(day.photos));
+
+    const itineraryIds = new Set();
+    for (const itineraries of Object.values(await storage.files.itineraries.read())) {
+        for (const itinerary of Object.values(itineraries || {})) {
+            if (itinerary.data && showsPhoto(itinerary.data)) itineraryIds.add(itinerary.id);
+        }
+    }
+    for (const itineraryId of await revisions.findItinerariesWithRevision(showsPhoto)) {
+        itineraryIds.add(itineraryId);
+    }
+    const activityIds = (await storage.files.activities.read())
+        .filter(activity => uses(activity.photos))
+        .map(activity => activity.id);
+
+    return { itineraryIds: [...itineraryIds], activityIds };
+}
+
+/**
+ * Delete a photo no itinerary, stored revision or activity shows
+ * @param {string} userId - Owner
+ * @param {string} id - Photo ID
+ * @returns {Promise<boolean>} - false if not found
+ * @throws {PhotoError} - 409 while it is in use
+ */
+function deletePhoto(userId, id) {
+    return store.remove(userId, id, async () => {
+        const { itineraryIds, activityIds } = await findPhotoReferences(id);
+        if (itineraryIds.length > 0 || activityIds.length > 0) {
+            const error = new PhotoError(`Shown in ${itineraryIds.length} itinerar${itineraryIds.length === 1 ? 'y' : 'ies'} and ${activityIds.length} activit${activityIds.length === 1 ? 'y' : 'ies'}`, 409);
+            error.itineraryIds = itineraryIds;
+            error.activityIds = activityIds;
+            throw error;
+        }
+    });
+}
+
+/**
+ * Trim a list of photo references as validated against photoListSchema
+ * @param {Array<Object>} [list]
+ * @returns {Array<{id: string, caption: string}>}
+ */
+function toPhotoList(list) {
+    return (Array.isArray(list) ? list : [])
+        .filter(photo => photo && typeof photo.id === 'string')
+        .map(photo => ({ id: photo.id.trim(), caption: String(photo.caption || '').trim() }));
+}
+
+module.exports = {
+    MAX_PHOTOS_PER_DAY,
+    photoListSchema,
+    PhotoError,
+    isPhotoId,
+    photoPath,
+    processPhoto,
+    listPhotos,
+    getPhoto,
+    canViewPhoto,
+    addPhoto,
+    deletePhoto,
+    toPhotoList
+};
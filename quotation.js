@@ -0,0 +1,237 @@
+// quotation.js
+const storage = require('./storage');
+const currency = require('./currency');
+
+/**
+ * Pricing used when a company has not set its own. All amounts are in LKR,
+ * like the activity prices in db/activityData.json.
+ */
+const DEFAULT_PRICING = {
+    markupPercent: 15,
+    // Vehicle with driver, per day
+    transportPerDay: 15000,
+    // Travellers sharing one room
+    roomOccupancy: 2,
+    // Per room per night, by the hotel catalog's type; "default" covers custom hotels
+    hotelRates: {
+        'Home Stay': 8000,
+        'Hotel': 20000,
+        'Villa': 30000,
+        default: 15000
+    },
+    // Per traveller
+    mealRates: {
+        breakfast: 1500,
+        lunch: 2500,
+        dinner: 3000
+    }
+};
+
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+function normalizeName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Check pricing settings sent by a company
+ * @param {Object} settings - Partial settings, merged over DEFAULT_PRICING when saved
+ * @returns {Array<{path: string, message: string}>} - Empty when valid
+ */
+function validatePricingSettings(settings) {
+    const errors = [];
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return [{ path: '', message: 'pricing settings must be an object' }];
+    }
+
+    const checkAmount = (value, fieldPath, max = Infinity) => {
+        if (value === undefined) return;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            errors.push({ path: fieldPath, message: 'must be a number of at least 0' });
+        } else if (value > max) {
+            errors.push({ path: fieldPath, message: `must be at most ${max}` });
+        }
+    };
+    const checkRates = (rates, fieldPath, allowedKeys = null) => {
+        if (rates === undefined) return;
+        if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+            errors.push({ path: fieldPath, message: 'must be an object' });
+            return;
+        }
+        for (const [key, value] of Object.entries(rates)) {
+            if (allowedKeys && !allowedKeys.includes(key)) {
+                errors.push({ path: `${fieldPath}.${key}`, message: `is not one of: ${allowedKeys.join(', ')}` });
+            } else {
+                checkAmount(value, `${fieldPath}.${key}`);
+            }
+        }
+    };
+
+    for (const key of Object.keys(settings)) {
+        if (key === 'currency') {
+            // Prices are kept in the base currency; quotes are converted per itinerary
+            errors.push({
+                path: 'currency',
+                message: `pricing is always in ${currency.BASE_CURRENCY}; set "currency" on an itinerary to quote it in another currency`
+            });
+        } else if (!(key in DEFAULT_PRICING)) {
+            errors.push({ path: key, message: `is not one of: ${Object.keys(DEFAULT_PRICING).join(', ')}` });
+        }
+    }
+
+    checkAmount(settings.markupPercent, 'markupPercent', 500);
+    checkAmount(settings.transportPerDay, 'transportPerDay');
+    if (settings.roomOccupancy !== undefined &&
+        !(Number.isInteger(settings.roomOccupancy) && settings.roomOccupancy >= 1 && settings.roomOccupancy <= 10)) {
+        errors.push({ path: 'roomOccupancy', message: 'must be a whole number from 1 to 10' });
+    }
+    checkRates(settings.hotelRates, 'hotelRates');
+    checkRates(settings.mealRates, 'mealRates', MEALS);
+
+    return errors;
+}
+
+/**
+ * A company's pricing settings with the defaults filled in
+ * @param {Object} [pricing] - The user's stored pricing overrides
+ * @returns {Object}
+ */
+function resolvePricingSettings(pricing = {}) {
+    return {
+        ...DEFAULT_PRICING,
+        ...pricing,
+        hotelRates: { ...DEFAULT_PRICING.hotelRates, ...(pricing.hotelRates || {}) },
+        mealRates: { ...DEFAULT_PRICING.mealRates, ...(pricing.mealRates || {}) }
+    };
+}
+
+/**
+ * Compute the cost of an itinerary
+ * @param {Object} data - Validated itinerary data
+ * @param {Object} settings - From resolvePricingSettings
+ * @param {{activities: Array<Object>, hotels: Array<Object>}} catalogs - Catalog records
+ * @param {Object} [conversion]
+ * @param {string} [conversion.currency='LKR'] - Quote currency
+ * @param {number} [conversion.rate=1] - LKR per unit of the quote currency
+ * @returns {Object} - The quote: per-day items and totals in the quote currency
+ */
+function buildQuote(data, settings, catalogs, { currency: code = currency.BASE_CURRENCY, rate: lkrPerUnit = 1 } = {}) {
+    // Unit prices are converted and rounded first, then every total is summed
+    // in minor units (cents) so the document always adds up
+    const factor = 10 ** currency.CURRENCIES[code].decimals;
+    const toMinor = lkr => Math.round(lkr / lkrPerUnit * factor);
+    const fromMinor = minor => minor / factor;
+
+    const travellers = Math.max(1, Number(data.numberOfTravelers) || 1);
+    const rooms = Math.ceil(travellers / settings.roomOccupancy);
+
+    const activityPrices = new Map(catalogs.activities.map(a => [normalizeName(a.activity), parseFloat(a.price) || 0]));
+    const hotelTypes = new Map(catalogs.hotels.map(h => [normalizeName(h.name), h.type]));
+    const hotelTypesById = new Map(catalogs.hotels.map(h => [h.id, h.type]));
+
+    const item = (type, description, unitPrice, quantity) => {
+        const unitMinor = toMinor(unitPrice);
+        return { type, description, unitPrice: fromMinor(unitMinor), quantity, amountMinor: unitMinor * quantity };
+    };
+
+    const days = data.dailyPlans.map((day, index) => {
+        const items = [];
+
+        const activity = day.activity === 'custom' || !day.activity ? day.customActivity : day.activity;
+        if (activity) {
+            const price = day.activityPrice !== undefined ? day.activityPrice : (activityPrices.get(normalizeName(activity)) || 0);
+            items.push(item('activity', activity, price, travellers));
+        }
+
+        const hotel = day.hotel === 'custom' ? day.customHotel : day.hotel;
+        if (day.overnightStay && hotel) {
+            const type = hotelTypesById.get(day.hotelId) || hotelTypes.get(normalizeName(hotel));
+            const rate = day.hotelRate !== undefined
+                ? day.hotelRate
+                : (settings.hotelRates[type] !== undefined ? settings.hotelRates[type] : settings.hotelRates.default);
+            items.push(item('hotel', hotel, rate, rooms));
+        }
+
+        const meals = day.meals || {};
+        for (const meal of MEALS) {
+            if (meals[meal]) {
+                items.push(item('meal', meal.charAt(0).toUpperCase() + meal.slice(1), settings.mealRates[meal], travellers));
+            }
+        }
+
+        if (settings.transportPerDay > 0) {
+            items.push(item('transport', 'Transport', settings.transportPerDay, 1));
+        }
+
+        const totalMinor = items.reduce((sum, entry) => sum + entry.amountMinor, 0);
+        return {
+            day: index + 1,
+            place: day.place,
+            items: items.map(({ amountMinor, ...entry }) => ({ ...entry, amount: fromMinor(amountMinor) })),
+            total: fromMinor(totalMinor),
+            totalMinor
+        };
+    });
+
+    const subtotalMinor = days.reduce((sum, day) => sum + day.totalMinor, 0);
+    const markupMinor = Math.round(subtotalMinor * settings.markupPercent / 100);
+    const totalMinor = subtotalMinor + markupMinor;
+
+    return {
+        currency: code,
+        travellers,
+        rooms,
+        days: days.map(({ totalMinor: _, ...day }) => day),
+        subtotal: fromMinor(subtotalMinor),
+        markupPercent: settings.markupPercent,
+        markup: fromMinor(markupMinor),
+        total: fromMinor(totalMinor),
+        perTraveller: fromMinor(Math.round(totalMinor / travellers))
+    };
+}
+
+/**
+ * Quote an itinerary with its owner's pricing settings and the current catalogs,
+ * in the itinerary's currency at today's rate
+ * @param {Object} data - Validated itinerary data
+ * @param {string} userId - Owner of the itinerary
+ * @param {Object} [options]
+ * @param {Object} [options.savedQuote] - The quote saved with the itinerary; its exchange rate is
+ *   used instead of today's when it is in the same currency
+ * @returns {Promise<Object>} - The quote with the rate snapshot used and the time it was computed
+ * @throws {Error} - When the quote currency has no exchange rate (itinerarySchema checks this first)
+ */
+async function quoteItinerary(data, userId, { savedQuote = null } = {}) {
+    const user = await storage.users.findById(userId);
+    const settings = resolvePricingSettings(user ? user.pricing : undefined);
+    const catalogs = {
+        activities: await storage.catalogs.activities(userId),
+        hotels: await storage.catalogs.hotels()
+    };
+
+    const code = data.currency || currency.BASE_CURRENCY;
+    let exchangeRate = null;
+    if (code !== currency.BASE_CURRENCY) {
+        exchangeRate = savedQuote && savedQuote.currency === code && savedQuote.exchangeRate
+            ? savedQuote.exchangeRate
+            : await currency.getRate(code);
+        if (!exchangeRate) {
+            throw new Error(`No exchange rate for ${code}`);
+        }
+    }
+
+    return {
+        ...buildQuote(data, settings, catalogs, { currency: code, rate: exchangeRate ? exchangeRate.rate : 1 }),
+        baseCurrency: currency.BASE_CURRENCY,
+        exchangeRate,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    DEFAULT_PRICING,
+    validatePricingSettings,
+    resolvePricingSettings,
+    buildQuote,
+    quoteItinerary
+};
@@ -3,6 +3,84 @@ const PizZip = require("pizzip");
 const fs = require("fs");
 const path = require("path");
 const ImageModule = require("docxtemplater-image-module-free");
+const sharp = require("sharp");
+const { imageSize } = require("image-size");
+
+/**
+ * How an image fills its slot's bounding box:
+ * - contain: as large as fits inside the box, keeping its proportions
+ * - cover: cropped to the box's proportions, then filling the whole box
+ * - fixed: stretched to the box
+ */
+const FIT_MODES = ["contain", "cover", "fixed"];
+
+// Used for tags without a slot
+const DEFAULT_SLOT = { box: [100, 100], fit: "contain" };
+
+/**
+ * Compute the size an image is placed at
+ * @param {number[]} imageSize - [width, height] as displayed (after EXIF rotation)
+ * @param {{box: number[], fit: string}} slot - Bounding box [width, height] in pixels and fit mode
+ * @returns {number[]} - [width, height] in pixels
+ */
+function fitToSlot([width, height], { box, fit }) {
+    if (fit === "fixed" || fit === "cover" || !width || !height) {
+        return box;
+    }
+    const scale = Math.min(box[0] / width, box[1] / height);
+    return [Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale))];
+}
+
+// Light grey box the size of the slot, shown instead of an image that cannot be read
+function placeholderImage([width, height]) {
+    return sharp({ create: { width, height, channels: 3, background: "#e5e7eb" } }).png().toBuffer();
+}
+
+/**
+ * Load an image and size it for its slot. Pictures with an EXIF orientation
+ * are turned upright, since Word and LibreOffice do not all honour the tag;
+ * "cover" images are cropped around their most interesting part.
+ * A missing or unreadable file gives a placeholder instead of failing the document.
+ * @param {string|null} imagePath - Path to the image file
+ * @param {{box: number[], fit: string}} slot - Bounding box and fit mode
+ * @returns {Promise<{buffer: Buffer, size: number[]}>} - The image and its [width, height] in pixels
+ */
+async function prepareImage(imagePath, slot) {
+    if (!imagePath) {
+        return { buffer: await placeholderImage(slot.box), size: slot.box };
+    }
+
+    const fullPath = path.resolve(imagePath);
+    let buffer;
+    let dimensions;
+    try {
+        buffer = fs.readFileSync(fullPath);
+        dimensions = imageSize(buffer);
+    } catch (error) {
+        console.warn(`Image not available at ${fullPath} (${error.code || error.message}), using a placeholder`);
+        return { buffer: await placeholderImage(slot.box), size: slot.box };
+    }
+
+    // Orientations 5-8 are stored on their side
+    const orientation = dimensions.orientation || 1;
+    const upright = orientation >= 5
+        ? [dimensions.height, dimensions.width]
+        : [dimensions.width, dimensions.height];
+
+    if (orientation > 1 || slot.fit === "cover") {
+        let image = sharp(buffer).rotate();
+        if (slot.fit === "cover") {
+            // The largest part of the picture with the box's proportions
+            const ratio = slot.box[0] / slot.box[1];
+            const width = Math.min(upright[0], Math.round(upright[1] * ratio));
+            const height = Math.min(upright[1], Math.round(upright[0] / ratio));
+            image = image.resize(width, height, { fit: "cover", position: sharp.strategy.attention });
+        }
+        buffer = await image.toFormat(dimensions.type === "png" ? "png" : "jpeg").toBuffer();
+    }
+
+    return { buffer, size: fitToSlot(upright, slot) };
+}
 
 /**
  * Generates a DOCX document from a template with images and data
@@ -11,7 +89,7 @@ const ImageModule = require("docxtemplater-image-module-free");
  * @param {Object} options.data - Data to inject into the template
  * @param {Object} options.images - Image configuration
  * @param {Object} options.images.paths - Mapping of image tags to file paths
- * @param {Object} options.images.sizes - Mapping of image tags to dimensions [width, height]
+ * @param {Object} options.images.slots - Mapping of image tags to { box: [width, height], fit }, fit one of FIT_MODES
  * @param {string} options.outputPath - Path to save the generated document
  * @returns {Promise<string>} Path to the generated document
  */
@@ -34,24 +112,27 @@ async function generateDocument({
         // Read template content
         const content = fs.readFileSync(templatePath, "binary");
 
+        // Load and size every image up front; the image module wants them synchronously
+        const prepared = {};
+        for (const [tag, imagePath] of Object.entries(images.paths)) {
+            const slot = (images.slots && images.slots[tag]) || DEFAULT_SLOT;
+            if (!FIT_MODES.includes(slot.fit)) {
+                throw new Error(`Unknown fit "${slot.fit}" for image tag: ${tag}`);
+            }
+            prepared[tag] = await prepareImage(imagePath, slot);
+        }
+
         // Configure image module
         const imageOpts = {
             centered: false,
             getImage: (tagValue, tagName) => {
-                const imagePath = images.paths[tagValue];
-                if (!imagePath) {
+                if (!prepared[tagValue]) {
                     throw new Error(`No path configured for image tag: ${tagValue}`);
                 }
-
-                const fullPath = path.resolve(imagePath);
-                if (!fs.existsSync(fullPath)) {
-                    throw new Error(`Image not found at ${fullPath}`);
-                }
-
-                return fs.readFileSync(fullPath);
+                return prepared[tagValue].buffer;
             },
             getSize: (img, tagValue, tagName) => {
-                return images.sizes[tagValue] || [100, 100]; // Default size if not specified
+                return prepared[tagValue].size;
             }
         };
 
@@ -0,0 +1,197 @@
+// retention.js
+const fs = require('fs').promises;
+const path = require('path');
+const engine = require('./engine');
+const storage = require('./storage');
+const coverImages = require('./coverImages');
+const photos = require('./photos');
+
+const DOCUMENT_RETENTION_MS = (parseFloat(process.env.DOCUMENT_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = (parseFloat(process.env.RETENTION_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+const UPLOADS_DIR = path.join(__dirname, 'db', 'img', 'pp');
+
+// Only generated files are ever touched; anything else in these folders is left alone
+const DOCUMENT_PATTERN = /^(itin_[A-Za-z0-9_]+)\.(pdf|docx)$/;
+const SCREENSHOT_PATTERN = /^(itin_[A-Za-z0-9_]+)\.jpg$/;
+
+/**
+ * List the generated files in a directory with their size and age
+ * @param {string} dir - Directory to scan
+ * @param {RegExp} pattern - File name pattern; group 1 is the itinerary ID
+ * @returns {Promise<Array<{name: string, filePath: string, itineraryId: string, size: number, modifiedAt: Date}>>}
+ */
+async function listGeneratedFiles(dir, pattern) {
+    let names;
+    try {
+        names = await fs.readdir(dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const files = [];
+    for (const name of names) {
+        const match = name.match(pattern);
+        if (!match) continue;
+        const filePath = path.join(dir, name);
+        const stats = await fs.stat(filePath);
+        if (!stats.isFile()) continue;
+        files.push({ name, filePath, itineraryId: match[1], size: stats.size, modifiedAt: stats.mtime });
+    }
+    return files;
+}
+
+/**
+ * Map every existing itinerary ID to its owner
+ * @returns {Promise<Map<string, string>>}
+ */
+async function loadItineraryOwners() {
+    const all = await storage.files.itineraries.read();
+    const owners = new Map();
+    for (const [userId, itineraries] of Object.entries(all)) {
+        for (const itineraryId of Object.keys(itineraries || {})) {
+            owners.set(itineraryId, userId);
+        }
+    }
+    return owners;
+}
+
+/**
+ * Delete documents older than the retention period, documents of deleted
+ * itineraries and route maps whose itinerary no longer exists
+ * @param {Object} [options]
+ * @param {number} [options.maxAgeMs] - Document retention, defaults to DOCUMENT_RETENTION_HOURS
+ * @param {boolean} [options.dryRun=false] - Only report what would be deleted
+ * @returns {Promise<{documents: string[], screenshots: string[], freedBytes: number, dryRun: boolean}>}
+ */
+async function sweepStorage({ maxAgeMs = DOCUMENT_RETENTION_MS, dryRun = false } = {}) {
+    try {
+        const owners = await loadItineraryOwners();
+        const cutoff = Date.now() - maxAgeMs;
+
+        const documents = (await listGeneratedFiles(engine.tempStoreDir, DOCUMENT_PATTERN))
+            .filter(file => file.modifiedAt.getTime() < cutoff || !owners.has(file.itineraryId));
+        const screenshots = (await listGeneratedFiles(engine.screenshotsDir, SCREENSHOT_PATTERN))
+            .filter(file => !owners.has(file.itineraryId));
+
+        if (!dryRun) {
+            for (const file of [...documents, ...screenshots]) {
+                await fs.rm(file.filePath, { force: true });
+            }
+        }
+
+        return {
+            documents: documents.map(file => file.name),
+            screenshots: screenshots.map(file => file.name),
+            freedBytes: [...documents, ...screenshots].reduce((sum, file) => sum + file.size, 0),
+            dryRun
+        };
+    } catch (error) {
+        console.error('Error sweeping storage:', error);
+        throw error;
+    }
+}
+
+/**
+ * Run sweepStorage every RETENTION_SWEEP_INTERVAL_MINUTES
+ * @returns {NodeJS.Timeout} - The interval, unref'd so it never keeps the process alive
+ */
+function scheduleSweeps() {
+    const run = () => sweepStorage()
+        .then(result => {
+            const count = result.documents.length + result.screenshots.length;
+            if (count > 0) {
+                console.log(`Retention sweep removed ${count} file(s), ${result.freedBytes} bytes`);
+            }
+        })
+        .catch(() => {});
+
+    run();
+    const timer = setInterval(run, SWEEP_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+// Size of an uploaded image referenced as "/db/img/pp/<file>" or "/img/pp/<file>"
+async function uploadSize(reference) {
+    if (!reference) return 0;
+    try {
+        return (await fs.stat(path.join(UPLOADS_DIR, path.basename(reference)))).size;
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * Disk usage per user for generated documents, route maps and uploaded images
+ * @returns {Promise<{users: Array<Object>, unowned: Object, totals: Object, retentionHours: number}>}
+ */
+async function storageUsage() {
+    try {
+        const owners = await loadItineraryOwners();
+        const users = await storage.users.list();
+        const empty = () => ({ documents: 0, screenshots: 0, uploads: 0, total: 0, files: 0 });
+
+        const usage = new Map(users.map(user => [user.id, {
+            userId: user.id,
+            username: user.username,
+            itineraries: 0,
+            bytes: empty()
+        }]));
+        const unowned = empty();
+
+        for (const userId of owners.values()) {
+            if (usage.has(userId)) usage.get(userId).itineraries++;
+        }
+
+        const add = (bytes, kind, size) => {
+            bytes[kind] += size;
+            bytes.total += size;
+            bytes.files++;
+        };
+
+        const generated = [
+            ...(await listGeneratedFiles(engine.tempStoreDir, DOCUMENT_PATTERN)).map(file => ({ ...file, kind: 'documents' })),
+            ...(await listGeneratedFiles(engine.screenshotsDir, SCREENSHOT_PATTERN)).map(file => ({ ...file, kind: 'screenshots' }))
+        ];
+        for (const file of generated) {
+            const entry = usage.get(owners.get(file.itineraryId));
+            add(entry ? entry.bytes : unowned, file.kind, file.size);
+        }
+
+        for (const user of users) {
+            for (const reference of [user.profilePic, user.companyInfo.logo]) {
+                const size = await uploadSize(reference);
+                if (size > 0) add(usage.get(user.id).bytes, 'uploads', size);
+            }
+            for (const coverImage of await coverImages.listCoverImages(user.id)) {
+                add(usage.get(user.id).bytes, 'uploads', coverImage.size);
+            }
+            for (const photo of await photos.listPhotos(user.id)) {
+                add(usage.get(user.id).bytes, 'uploads', photo.size);
+            }
+        }
+
+        const report = [...usage.values()].sort((a, b) => b.bytes.total - a.bytes.total);
+        const totals = empty();
+        for (const bytes of [...report.map(entry => entry.bytes), unowned]) {
+            for (const key of Object.keys(totals)) totals[key] += bytes[key];
+        }
+
+        return {
+            users: report,
+            unowned,
+            totals,
+            retentionHours: DOCUMENT_RETENTION_MS / (60 * 60 * 1000)
+        };
+    } catch (error) {
+        console.error('Error computing storage usage:', error);
+        throw error;
+    }
+}
+
+module.exports = {
+    sweepStorage,
+    scheduleSweeps,
+    storageUsage
+};
@@ -0,0 +1,211 @@
+// revisions.js
+const path = require('path');
+const { JsonFile } = require('./storage');
+
+// Keyed by itinerary ID, each holding an append-only array of revisions.
+// Saving, restoring and deleting catalog entries never change a stored
+// revision; only the startup data migrations do (see updateRevisionData).
+const revisionsFile = new JsonFile(path.join(__dirname, 'evelodatabase', 'itineraryRevisions.json'), () => ({}));
+
+// Top-level itinerary fields compared by diffItineraryData (dailyPlans is compared per day)
+const DIFF_FIELDS = [
+    'itineraryName',
+    'touristName',
+    'numberOfTravelers',
+    'tourStartDate',
+    'numberOfDays',
+    'route',
+    'coverImage',
+    'customImage',
+    'templateId',
+    'currency',
+    'language'
+];
+
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+/**
+ * Append a revision holding a copy of the itinerary data, and of its quote so a
+ * restore keeps the exchange rate it was quoted at
+ * @param {Object} itinerary - The itinerary record after the save
+ * @param {Object} author - The user who saved it ({ id, fullName })
+ * @param {string} action - 'create', 'update', 'duplicate' or 'restore'
+ * @param {Object} [options]
+ * @param {Object} [options.previous] - The record before the save, kept as revision 1 for
+ *   itineraries saved before revisions existed
+ * @param {Object} [options.details] - Extra fields for the revision (e.g. { restoredFrom: 2 })
+ * @returns {Promise<number>} - The new revision number
+ */
+function recordRevision(itinerary, author, action, { previous = null, details = {} } = {}) {
+    return revisionsFile.update((revisions) => {
+        const history = revisions[itinerary.id] || [];
+
+        if (history.length === 0 && previous && previous.data) {
+            history.push({
+                revision: 1,
+                action: 'import',
+                author: { id: previous.userId, name: null },
+                timestamp: previous.lastModified || previous.timestamp,
+                ...(previous.quote ? { quote: JSON.parse(JSON.stringify(previous.quote)) } : {}),
+                data: JSON.parse(JSON.stringify(previous.data))
+            });
+        }
+
+        const revision = history.length + 1;
+        history.push({
+            revision,
+            action,
+            author: { id: author.id, name: author.fullName || author.username || null },
+            timestamp: itinerary.lastModified,
+            ...details,
+            ...(itinerary.quote ? { quote: JSON.parse(JSON.stringify(itinerary.quote)) } : {}),
+            data: JSON.parse(JSON.stringify(itinerary.data))
+        });
+
+        revisions[itinerary.id] = history;
+        return revision;
+    });
+}
+
+/**
+ * List the revisions of an itinerary, oldest first
+ * @param {string} itineraryId - The itinerary ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeData=false] - Include the data and quote snapshots of each revision
+ * @returns {Promise<Array<Object>>}
+ */
+async function listRevisions(itineraryId, { includeData = false } = {}) {
+    const revisions = await revisionsFile.read();
+    const history = revisions[itineraryId] || [];
+    return includeData ? history : history.map(({ data, quote, ...meta }) => meta);
+}
+
+/**
+ * Get one revision with its data snapshot
+ * @param {string} itineraryId - The itinerary ID
+ * @param {number} revision - The revision number
+ * @returns {Promise<Object|null>}
+ */
+async function getRevision(itineraryId, revision) {
+    const history = await listRevisions(itineraryId, { includeData: true });
+    return history.find(entry => entry.revision === Number(revision)) || null;
+}
+
+/**
+ * Remove the history of a deleted itinerary
+ * @param {string} itineraryId - The itinerary ID
+ */
+async function deleteRevisions(itineraryId) {
+    await revisionsFile.update((revisions) => {
+        delete revisions[itineraryId];
+    });
+}
+
+// Name of the activity/hotel as shown in the document, resolving 'custom'
+function effectiveActivity(day) {
+    return day.activity === 'custom' || !day.activity ? (day.customActivity || '') : day.activity;
+}
+
+function effectiveHotel(day) {
+    if (!day.overnightStay) return '';
+    return day.hotel === 'custom' ? (day.customHotel || '') : (day.hotel || '');
+}
+
+function diffDay(before, after) {
+    const changes = [];
+    const compare = (field, from, to) => {
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field, from, to });
+        }
+    };
+
+    compare('place', before.place, after.place);
+    compare('activity', effectiveActivity(before), effectiveActivity(after));
+    compare('overnightStay', !!before.overnightStay, !!after.overnightStay);
+    compare('hotel', effectiveHotel(before), effectiveHotel(after));
+    compare('activityPrice', before.activityPrice, after.activityPrice);
+    compare('hotelRate', before.hotelRate, after.hotelRate);
+    for (const meal of MEALS) {
+        compare(`meals.${meal}`, !!(before.meals || {})[meal], !!(after.meals || {})[meal]);
+    }
+    if ((before.description || '') !== (after.description || '')) {
+        changes.push({ field: 'description', changed: true });
+    }
+
+    return changes;
+}
+
+/**
+ * Field-level diff between two itinerary data snapshots
+ * @param {Object} before - Older itinerary data
+ * @param {Object} after - Newer itinerary data
+ * @returns {{fields: Array<Object>, days: {added: Array<Object>, removed: Array<Object>, changed: Array<Object>}}}
+ */
+function diffItineraryData(before = {}, after = {}) {
+    const fields = DIFF_FIELDS
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+
+    const beforeDays = before.dailyPlans || [];
+    const afterDays = after.dailyPlans || [];
+    const days = { added: [], removed: [], changed: [] };
+
+    for (let i = 0; i < Math.max(beforeDays.length, afterDays.length); i++) {
+        if (i >= beforeDays.length) {
+            days.added.push({ day: i + 1, place: afterDays[i].place });
+        } else if (i >= afterDays.length) {
+            days.removed.push({ day: i + 1, place: beforeDays[i].place });
+        } else {
+            const changes = diffDay(beforeDays[i], afterDays[i]);
+            if (changes.length > 0) {
+                days.changed.push({ day: i + 1, changes });
+            }
+        }
+    }
+
+    return { fields, days };
+}
+
+/**
+ * Itineraries with a stored revision whose data matches, e.g. to find uses of an upload
+ * @param {Function} predicate - (data, itineraryId, revision) => boolean
+ * @returns {Promise<Array<string>>} - Itinerary IDs
+ */
+async function findItinerariesWithRevision(predicate) {
+    const revisions = await revisionsFile.read();
+    return Object.entries(revisions)
+        .filter(([itineraryId, history]) => history.some(entry => entry.data && predicate(entry.data, itineraryId, entry)))
+        .map(([itineraryId]) => itineraryId);
+}
+
+/**
+ * Change the data snapshot of every stored revision in place. Only for the
+ * startup migrations (migrateHotels, migrateCoverImages): they change how a
+ * value is stored, not what the itinerary says (a hotel picked by name gets
+ * its hotelId, a data URL cover becomes an uploaded cover ID). Old revisions
+ * have to follow, or they would fail validation and could not be restored,
+ * and the diff between revisions is unchanged as both sides are migrated.
+ * @param {Function} mutator - async (data, itineraryId) => boolean, whether it changed the data
+ * @returns {Promise<number>} - Number of snapshots changed
+ */
+function updateRevisionData(mutator) {
+    return revisionsFile.update(async (revisions) => {
+        let count = 0;
+        for (const [itineraryId, history] of Object.entries(revisions)) {
+            for (const entry of history) {
+                if (entry.data && await mutator(entry.data, itineraryId)) count++;
+            }
+        }
+        return count;
+    });
+}
+
+module.exports = {
+    recordRevision,
+    listRevisions,
+    getRevision,
+    deleteRevisions,
+    updateRevisionData,
+    findItinerariesWithRevision,
+    diffItineraryData
+};
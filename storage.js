@@ -0,0 +1,325 @@
+// storage.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const DB_DIR = path.join(__dirname, 'evelodatabase');
+const CATALOG_DIR = path.join(__dirname, 'db');
+
+/**
+ * Canonical records.
+ *
+ * users.json is an array of:
+ * @typedef {Object} User
+ * @property {string} id - "user_<timestamp>"
+ * @property {string} username
+ * @property {string} password - scrypt hash from auth.hashPassword
+ * @property {string} fullName
+ * @property {string} profilePic
+ * @property {string} plan
+ * @property {string} [role] - 'admin' for administrators (set by hand in users.json)
+ * @property {Object} [pricing] - Overrides of quotation.DEFAULT_PRICING
+ * @property {{companyName: string, address: string, phone: string, email: string, website: string, logo: string}} companyInfo
+ * @property {string} createdAt - ISO date
+ * @property {string|null} lastLogin - ISO date
+ * @property {number} noOfItineraries - Itineraries the user currently has (archived included)
+ * @property {number} tokenVersion - Raised on a password change to end every session issued before it
+ *
+ * itineraries.json is an object keyed by user ID, then by itinerary ID, holding:
+ * @typedef {Object} Itinerary
+ * @property {string} id - "itin_<timestamp>_<random>"
+ * @property {string} userId - Owner, same as the outer key
+ * @property {string} timestamp - Creation date (ISO)
+ * @property {string} lastModified - Last save (ISO)
+ * @property {string} status - 'active' or 'archived'
+ * @property {number} [revision] - Current revision number (see revisions.js)
+ * @property {Object} [quote] - Price quote from the last save, with the exchange rate it used (see quotation.js)
+ * @property {Object} data - The itinerary itself (see itinerarySchema.js)
+ */
+
+// Per-file queue of pending operations; one Node process owns the files
+const locks = new Map();
+
+/**
+ * Run fn once every earlier operation on the same file has finished
+ * @param {string} filePath - The file to lock
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} - The result of fn
+ */
+function withLock(filePath, fn) {
+    const previous = locks.get(filePath) || Promise.resolve();
+    const result = previous.then(fn);
+    const tail = result.catch(() => {});
+
+    locks.set(filePath, tail);
+    tail.then(() => {
+        if (locks.get(filePath) === tail) locks.delete(filePath);
+    });
+
+    return result;
+}
+
+/**
+ * Write a file atomically: write a temp file next to it, then rename over it
+ * @param {string} filePath - Destination path
+ * @param {string|Buffer} contents
+ */
+async function writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        await fs.writeFile(tempPath, contents);
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * A JSON document on disk with locked read-modify-write updates
+ */
+class JsonFile {
+    /**
+     * @param {string} filePath - Path to the JSON file
+     * @param {Function} createDefault - () => value used when the file does not exist
+     * @param {number} [indent=2] - JSON indentation when writing
+     */
+    constructor(filePath, createDefault, indent = 2) {
+        this.filePath = filePath;
+        this.createDefault = createDefault;
+        this.indent = indent;
+    }
+
+    /**
+     * Read the current contents (never sees a half-written file)
+     * @returns {Promise<*>}
+     */
+    async read() {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return this.createDefault();
+            throw error;
+        }
+    }
+
+    /**
+     * Read, change and write back the contents while holding the file lock
+     * @param {Function} mutator - async (contents) => result; changes contents in place
+     * @returns {Promise<*>} - Whatever mutator returned
+     */
+    update(mutator) {
+        return withLock(this.filePath, async () => {
+            const contents = await this.read();
+            const result = await mutator(contents);
+            await writeFileAtomic(this.filePath, JSON.stringify(contents, null, this.indent));
+            return result;
+        });
+    }
+}
+
+const files = {
+    users: new JsonFile(path.join(DB_DIR, 'users.json'), () => [], 3),
+    itineraries: new JsonFile(path.join(DB_DIR, 'itineraries.json'), () => ({})),
+    activities: new JsonFile(path.join(CATALOG_DIR, 'activityData.json'), () => []),
+    hotels: new JsonFile(path.join(CATALOG_DIR, 'hotelData.json'), () => [])
+};
+
+/**
+ * Bring a stored user into the canonical shape
+ * @param {Object} user - User record as stored
+ * @returns {User}
+ */
+function normalizeUser(user) {
+    return {
+        ...user,
+        companyInfo: {
+            companyName: '',
+            address: '',
+            phone: '',
+            email: '',
+            website: '',
+            logo: '',
+            ...(user.companyInfo || {})
+        },
+        lastLogin: user.lastLogin || null,
+        noOfItineraries: Number(user.noOfItineraries) || 0,
+        tokenVersion: Number(user.tokenVersion) || 0
+    };
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+const users = {
+    /**
+     * @returns {Promise<User[]>}
+     */
+    async list() {
+        return (await files.users.read()).map(normalizeUser);
+    },
+
+    /**
+     * @param {string} id - User ID
+     * @returns {Promise<User|null>}
+     */
+    async findById(id) {
+        const user = (await files.users.read()).find(u => u.id === id);
+        return user ? normalizeUser(user) : null;
+    },
+
+    /**
+     * @param {string} username
+     * @returns {Promise<User|null>}
+     */
+    async findByUsername(username) {
+        const user = (await files.users.read()).find(u => u.username === username);
+        return user ? normalizeUser(user) : null;
+    },
+
+    /**
+     * Add a user unless the username is taken
+     * @param {User} user
+     * @returns {Promise<User|null>} - The stored user, or null if the username exists
+     */
+    create(user) {
+        return files.users.update((records) => {
+            if (records.some(u => u.username === user.username)) return null;
+            const record = normalizeUser(user);
+            records.push(record);
+            return clone(record);
+        });
+    },
+
+    /**
+     * Merge changes into a user
+     * @param {string} id - User ID
+     * @param {Object|Function} changes - Fields to set, or (user) => fields to set
+     * @returns {Promise<User|null>} - The updated user, or null if not found
+     */
+    update(id, changes) {
+        return files.users.update(async (records) => {
+            const index = records.findIndex(u => u.id === id);
+            if (index === -1) return null;
+            const current = normalizeUser(records[index]);
+            const fields = typeof changes === 'function' ? await changes(current) : changes;
+            records[index] = { ...current, ...fields };
+            return clone(records[index]);
+        });
+    },
+
+    /**
+     * Change noOfItineraries by delta (never below zero)
+     * @param {string} id - User ID
+     * @param {number} delta
+     * @returns {Promise<User|null>}
+     */
+    adjustItineraryCount(id, delta) {
+        return users.update(id, user => ({
+            noOfItineraries: Math.max(0, user.noOfItineraries + delta)
+        }));
+    }
+};
+
+const itineraries = {
+    /**
+     * @param {string} userId - Owner
+     * @returns {Promise<Itinerary[]>}
+     */
+    async listByUser(userId) {
+        const all = await files.itineraries.read();
+        return Object.values(all[userId] || {});
+    },
+
+    /**
+     * @param {string} id - Itinerary ID
+     * @returns {Promise<Itinerary|null>}
+     */
+    async findById(id) {
+        const all = await files.itineraries.read();
+        for (const userId of Object.keys(all)) {
+            const record = all[userId] && all[userId][id];
+            if (record) return { ...record, userId };
+        }
+        return null;
+    },
+
+    /**
+     * @param {Itinerary} itinerary - Complete record including id and userId
+     * @returns {Promise<Itinerary>}
+     */
+    create(itinerary) {
+        return files.itineraries.update((all) => {
+            if (!all[itinerary.userId]) all[itinerary.userId] = {};
+            all[itinerary.userId][itinerary.id] = itinerary;
+            return clone(itinerary);
+        });
+    },
+
+    /**
+     * Change an itinerary in place while holding the lock
+     * @param {string} id - Itinerary ID
+     * @param {Function} mutator - async (itinerary) => void; throwing aborts the save
+     * @returns {Promise<Itinerary|null>} - The updated record, or null if not found
+     */
+    update(id, mutator) {
+        return files.itineraries.update(async (all) => {
+            for (const userId of Object.keys(all)) {
+                const record = all[userId] && all[userId][id];
+                if (record) {
+                    await mutator(record);
+                    return clone(record);
+                }
+            }
+            return null;
+        });
+    },
+
+    /**
+     * @param {string} id - Itinerary ID
+     * @returns {Promise<boolean>} - Whether a record was removed
+     */
+    remove(id) {
+        return files.itineraries.update((all) => {
+            for (const userId of Object.keys(all)) {
+                if (all[userId] && all[userId][id]) {
+                    delete all[userId][id];
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+};
+
+const catalogs = {
+    /**
+     * The shared activities plus those a company added for itself (see activities.js)
+     * @param {string} [userId] - The company; without one only shared activities are returned
+     * @returns {Promise<Array<{id: string, activity: string, description: string, price: string, ownerId?: string|null}>>}
+     */
+    async activities(userId = null) {
+        const all = await files.activities.read();
+        return all.filter(activity => !activity.ownerId || activity.ownerId === userId);
+    },
+
+    /**
+     * One record per property (see hotels.js for the fields)
+     * @returns {Promise<Array<{id: string, name: string, city: string, type: string, starRating: number|null, roomTypes: Array<Object>}>>}
+     */
+    hotels() {
+        return files.hotels.read();
+    }
+};
+
+module.exports = {
+    users,
+    itineraries,
+    catalogs,
+    files,
+    JsonFile,
+    withLock,
+    writeFileAtomic
+};
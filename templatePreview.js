@@ -0,0 +1,160 @@
+// templatePreview.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const engine = require('./engine');
+const generateDocument = require('./render');
+const convertDocxToPdf = require('./docx2pdf');
+const { renderRouteMap } = require('./mapSS');
+const { findCity } = require('./cities');
+const quotation = require('./quotation');
+const storage = require('./storage');
+
+// A short tour that exercises every tag, loop and image of the data model
+const SAMPLE_ITINERARY = {
+    itineraryName: 'Template preview',
+    coverImage: 'default',
+    customImage: null,
+    touristName: 'Sample Traveller',
+    numberOfTravelers: 2,
+    tourStartDate: '2025-01-10',
+    numberOfDays: 4,
+    route: 'Negombo - Sigiriya - Kandy - Ella',
+    dailyPlans: [
+        {
+            day: 1,
+            place: 'Negombo',
+            activity: 'Arrival and transfer',
+            overnightStay: true,
+            hotel: 'Sample Beach Hotel',
+            description: 'Arrival at Bandaranaike International Airport and transfer to the hotel.',
+            meals: { breakfast: false, lunch: false, dinner: true }
+        },
+        {
+            day: 2,
+            place: 'Sigiriya',
+            activity: 'Dambulla, Sigiriya',
+            overnightStay: true,
+            hotel: 'Sample Jungle Lodge',
+            description: 'Visit the Dambulla cave temple and climb Sigiriya rock fortress.',
+            // Drawn by buildSamplePhoto; the IDs only need to differ
+            photos: [
+                { id: 'sample-1', caption: 'Sigiriya rock fortress' },
+                { id: 'sample-2', caption: 'Dambulla cave temple' }
+            ],
+            meals: { breakfast: true, lunch: false, dinner: true }
+        },
+        {
+            day: 3,
+            place: 'Kandy',
+            activity: 'Minneriya, Kandy',
+            overnightStay: true,
+            hotel: 'Sample Hill Hotel',
+            description: 'Morning safari in Minneriya, then drive to Kandy for the Temple of the Tooth.',
+            meals: { breakfast: true, lunch: true, dinner: true }
+        },
+        {
+            day: 4,
+            place: 'Ella',
+            activity: 'Nuwara Eliya, Ella',
+            overnightStay: false,
+            description: 'Scenic train ride through the tea country to Ella.',
+            meals: { breakfast: true, lunch: false, dinner: false }
+        }
+    ]
+};
+
+const SAMPLE_COMPANY = {
+    companyName: 'Sample Travels',
+    address: '1 Galle Road, Colombo 03',
+    phone: '+94 11 000 0000',
+    email: 'hello@example.com',
+    website: 'https://example.com',
+    logo: ''
+};
+
+// Stand-in logo so the image placeholder shows where the company logo goes
+function buildSampleLogo() {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="630" height="100">
+        <rect width="630" height="100" fill="#1d4e89"/>
+        <text x="315" y="62" font-family="sans-serif" font-size="40" fill="#ffffff" text-anchor="middle">YOUR LOGO</text>
+    </svg>`;
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// Stand-in for the photos of a day's gallery
+function buildSamplePhoto() {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="660" height="440">
+        <rect width="660" height="440" fill="#6a994e"/>
+        <text x="330" y="235" font-family="sans-serif" font-size="40" fill="#ffffff" text-anchor="middle">DAY PHOTO</text>
+    </svg>`;
+    return sharp(Buffer.from(svg)).jpeg().toBuffer();
+}
+
+/**
+ * Render a template with the sample itinerary
+ * @param {Buffer} templateBuffer - The .docx template
+ * @param {Object} [options]
+ * @param {string} [options.format='docx'] - 'docx' or 'pdf'
+ * @param {string} [options.language='en'] - Document language the labels and dates are written in
+ * @returns {Promise<{buffer: Buffer, format: string, conversion?: Object}>}
+ */
+async function renderTemplatePreview(templateBuffer, { format = 'docx', language = 'en' } = {}) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-preview-'));
+    try {
+        const templatePath = path.join(workDir, 'template.docx');
+        const logoPath = path.join(workDir, 'logo.png');
+        const photoPath = path.join(workDir, 'photo.jpg');
+        const mapPath = path.join(workDir, 'map.jpg');
+        const docxPath = path.join(workDir, 'preview.docx');
+        const pdfPath = path.join(workDir, 'preview.pdf');
+
+        await fs.writeFile(templatePath, templateBuffer);
+        await fs.writeFile(logoPath, await buildSampleLogo());
+        await fs.writeFile(photoPath, await buildSamplePhoto());
+
+        const stops = SAMPLE_ITINERARY.route.split(/\s*-\s*/)
+            .map(name => ({ name, city: findCity(name) }))
+            .filter(stop => stop.city)
+            .map(stop => ({ name: stop.name, latitude: stop.city.latitude, longitude: stop.city.longitude }));
+        await renderRouteMap(stops, mapPath);
+
+        const itinerary = { ...SAMPLE_ITINERARY, language };
+        const quote = quotation.buildQuote(itinerary, quotation.resolvePricingSettings(), {
+            activities: await storage.catalogs.activities(),
+            hotels: await storage.catalogs.hotels()
+        });
+        const catalogActivities = await engine.getCatalogActivities(itinerary);
+        const data = engine.formatItineraryData(itinerary, SAMPLE_COMPANY, mapPath, quote, catalogActivities);
+        data._images.paths.companyLogo = logoPath;
+        for (const tag of Object.keys(data._images.paths).filter(tag => tag.startsWith('dayPhoto_'))) {
+            data._images.paths[tag] = photoPath;
+        }
+
+        await generateDocument({
+            templatePath,
+            data,
+            images: data._images,
+            outputPath: docxPath
+        });
+
+        if (format !== 'pdf') {
+            return { buffer: await fs.readFile(docxPath), format: 'docx' };
+        }
+
+        const conversion = await convertDocxToPdf(docxPath, pdfPath);
+        return { buffer: await fs.readFile(pdfPath), format: 'pdf', conversion };
+    } catch (error) {
+        console.error('Error rendering template preview:', error);
+        throw error;
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    SAMPLE_ITINERARY,
+    SAMPLE_COMPANY,
+    renderTemplatePreview
+};
@@ -0,0 +1,530 @@
+// templates.js
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const PizZip = require('pizzip');
+const Docxtemplater = require('docxtemplater');
+const ImageModule = require('docxtemplater-image-module-free');
+const storage = require('./storage');
+const { JsonFile, writeFileAtomic } = storage;
+const revisions = require('./revisions');
+const i18n = require('./i18n');
+
+const TEMPLATES_DIR = path.join(__dirname, 'db', 'templates');
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, 'db', 'temp', 'template.docx');
+
+/**
+ * The built-in template translated into a language, e.g. db/temp/template.de.docx
+ * @param {string} [language] - Language code
+ * @returns {string} - Path to the .docx template (it may not exist)
+ */
+function builtInTemplatePath(language) {
+    return !language || language === i18n.DEFAULT_LANGUAGE
+        ? DEFAULT_TEMPLATE_PATH
+        : path.join(path.dirname(DEFAULT_TEMPLATE_PATH), `template.${language}.docx`);
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Keyed by user ID, each holding an array of template records
+const templatesFile = new JsonFile(path.join(__dirname, 'evelodatabase', 'templates.json'), () => ({}));
+
+/**
+ * The tags ItineraryEngine.formatItineraryData provides.
+ * Templates may only use these; required ones must be present.
+ */
+const TEMPLATE_FIELDS = {
+    address: { type: 'text' },
+    phone: { type: 'text' },
+    email: { type: 'text' },
+    web: { type: 'text' },
+    totalDays: { type: 'text' },
+    totalNights: { type: 'text' },
+    touristName: { type: 'text' },
+    noOfTravellers: { type: 'text' },
+    travelDatePeriod: { type: 'text' },
+    Route: { type: 'text' },
+    departureDate: { type: 'text' },
+    totalDistance: { type: 'text' },
+    totalDriveTime: { type: 'text' },
+    itbTable: { type: 'loop', required: true, fields: ['dayNumber', 'place', 'activity', 'driveDistance', 'driveTime'] },
+    iDetail: { type: 'loop', required: true, fields: ['iDetailTitle', 'driveInfo', 'iDesc', 'isOvernightStay', 'foodSupply'] },
+    // A day's photo gallery, so only inside iDetail; photo is an image tag
+    dayPhotos: { type: 'loop', parent: 'iDetail', fields: ['photo', 'caption'], imageFields: ['photo'] },
+    aTable: { type: 'loop', fields: ['aCity', 'accomodation'] },
+    pTable: { type: 'loop', fields: ['pDay', 'pDescription', 'pAmount'] },
+    pCurrency: { type: 'text' },
+    pSubtotal: { type: 'text' },
+    pMarkupPercent: { type: 'text' },
+    pMarkup: { type: 'text' },
+    pTotal: { type: 'text' },
+    pPerTraveller: { type: 'text' },
+    pExchangeRate: { type: 'text' },
+    logo: { type: 'image' },
+    templateCoverImg: { type: 'image' },
+    mapSS: { type: 'image', required: true }
+};
+
+const IMAGE_MODULE = 'open-xml-templating/docxtemplater-image-module';
+
+/**
+ * Error raised when an uploaded template cannot be used
+ * @property {Array<{tag: string|null, message: string}>} errors
+ * @property {Array<{tag: string|null, message: string}>} warnings
+ */
+class TemplateValidationError extends Error {
+    constructor(errors, warnings = [], message = 'Template validation failed') {
+        super(`${message}: ${errors.map(e => e.message).join('; ')}`);
+        this.name = 'TemplateValidationError';
+        this.errors = errors;
+        this.warnings = warnings;
+    }
+}
+
+class TemplateInUseError extends Error {
+    constructor(itineraryIds) {
+        super(`Used by ${itineraryIds.length} itinerar${itineraryIds.length === 1 ? 'y' : 'ies'}`);
+        this.name = 'TemplateInUseError';
+        this.itineraryIds = itineraryIds;
+    }
+}
+
+function generateTemplateId() {
+    return `tpl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Simplify docxtemplater's parsed tree into { name, kind, children }
+function describeTags(parts) {
+    return parts
+        .filter(part => part.type === 'placeholder')
+        .map((part) => {
+            let kind = 'text';
+            if (part.module === 'loop') kind = part.inverted ? 'inverted' : 'loop';
+            else if (part.module === IMAGE_MODULE) kind = 'image';
+            else if (part.module === 'rawxml') kind = 'raw';
+
+            const tag = { name: part.value, kind };
+            if (part.subparsed) tag.children = describeTags(part.subparsed);
+            return tag;
+        });
+}
+
+/**
+ * Turn a docxtemplater error (compile or render) into a list of readable problems
+ * @param {Error} error - Error thrown by docxtemplater
+ * @returns {Array<{tag: string|null, message: string}>|null} - null if it is not a template error
+ */
+function describeTemplateError(error) {
+    if (!error || !error.properties) return null;
+
+    const details = error.properties.errors || [error];
+    return details.map(detail => ({
+        tag: (detail.properties && (detail.properties.xtag || detail.properties.id)) || null,
+        message: (detail.properties && detail.properties.explanation) || detail.message
+    }));
+}
+
+/**
+ * Compile a template the same way render.js does and list the tags in it
+ * @param {Buffer} buffer - The .docx file
+ * @returns {{tags: Array<{name: string, kind: string, part: string, children?: Array}>, errors: Array<{tag: string|null, message: string}>}}
+ *   kind is 'text', 'loop', 'inverted', 'image' or 'raw'; part is the XML file (document, header, footer)
+ */
+function inspectTemplate(buffer) {
+    let zip;
+    try {
+        zip = new PizZip(buffer);
+    } catch (error) {
+        return { tags: [], errors: [{ tag: null, message: 'File is not a valid .docx document' }] };
+    }
+    if (!zip.file('word/document.xml')) {
+        return { tags: [], errors: [{ tag: null, message: 'File is not a valid .docx document' }] };
+    }
+
+    // postparse runs for every loop body first and for the whole part last,
+    // so the last tree seen for each part is the complete one
+    const parsedParts = {};
+    const collector = {
+        name: 'TagCollector',
+        postparse(postparsed, options) {
+            if (options && options.filePath) parsedParts[options.filePath] = postparsed;
+            return postparsed;
+        }
+    };
+
+    try {
+        new Docxtemplater(zip, {
+            paragraphLoop: true,
+            linebreaks: true,
+            // Errors are returned to the caller instead of logged
+            errorLogging: false,
+            modules: [
+                new ImageModule({ getImage: () => Buffer.alloc(0), getSize: () => [1, 1] }),
+                collector
+            ]
+        });
+    } catch (error) {
+        return { tags: [], errors: describeTemplateError(error) || [{ tag: null, message: error.message }] };
+    }
+
+    const tags = [];
+    for (const [part, postparsed] of Object.entries(parsedParts)) {
+        if (!/^word\/(document|header\d*|footer\d*)\.xml$/.test(part)) continue;
+        for (const tag of describeTags(postparsed)) {
+            tags.push({ ...tag, part: path.basename(part, '.xml') });
+        }
+    }
+    return { tags, errors: [] };
+}
+
+/**
+ * Check the tags of a template against TEMPLATE_FIELDS
+ * @param {Array<Object>} tags - From inspectTemplate
+ * @returns {{errors: Array<{tag: string, message: string}>, warnings: Array<{tag: string, message: string}>,
+ *   unknown: string[], missing: string[], unused: string[]}} - missing are required tags, unused optional ones
+ */
+function checkTags(tags) {
+    const errors = [];
+    const used = new Set();
+    const unknown = new Set();
+
+    const checkTag = (tag, loop) => {
+        const loopFields = loop ? TEMPLATE_FIELDS[loop].fields : [];
+        const imageFields = loop ? TEMPLATE_FIELDS[loop].imageFields || [] : [];
+        const where = loop ? ` inside loop "${loop}"` : '';
+
+        // Inside a loop, the row's fields come first, then every top-level tag
+        if (imageFields.includes(tag.name)) {
+            if (tag.kind !== 'image') {
+                errors.push({ tag: tag.name, message: `"${tag.name}"${where} is an image and must be written as {%${tag.name}}` });
+            }
+            return;
+        }
+        if (loopFields.includes(tag.name)) {
+            // {#driveInfo}...{/driveInfo} shows its body only when the field is not empty
+            if (tag.kind === 'loop' || tag.kind === 'inverted') {
+                for (const child of tag.children || []) checkTag(child, loop);
+            } else if (tag.kind !== 'text') {
+                errors.push({ tag: tag.name, message: `"${tag.name}"${where} is a text field and cannot be used as ${tag.kind}` });
+            }
+            return;
+        }
+
+        const field = TEMPLATE_FIELDS[tag.name];
+        if (!field) {
+            errors.push({ tag: tag.name, message: `Unknown tag "${tag.name}"${where}` });
+            unknown.add(tag.name);
+            return;
+        }
+        used.add(tag.name);
+
+        if (field.parent && loop !== field.parent) {
+            errors.push({ tag: tag.name, message: `"${tag.name}" can only be used inside loop "${field.parent}"` });
+        } else if (field.type === 'image' && tag.kind !== 'image') {
+            errors.push({ tag: tag.name, message: `"${tag.name}" is an image and must be written as {%${tag.name}}` });
+        } else if (field.type !== 'image' && tag.kind === 'image') {
+            errors.push({ tag: tag.name, message: `"${tag.name}" is not an image` });
+        } else if (field.type === 'loop' && tag.kind !== 'loop' && tag.kind !== 'inverted') {
+            errors.push({ tag: tag.name, message: `"${tag.name}" is a list and must be written as {#${tag.name}}...{/${tag.name}}` });
+        }
+
+        // A loop over a text field is a condition; its body stays in the current scope
+        const nextLoop = field.type === 'loop' ? tag.name : loop;
+        for (const child of tag.children || []) checkTag(child, nextLoop);
+    };
+
+    for (const tag of tags) checkTag(tag, null);
+
+    const warnings = [];
+    const missing = [];
+    const unused = [];
+    for (const [name, field] of Object.entries(TEMPLATE_FIELDS)) {
+        if (used.has(name)) continue;
+        if (field.required) {
+            errors.push({ tag: name, message: `Required tag "${name}" is missing` });
+            missing.push(name);
+        } else {
+            warnings.push({ tag: name, message: `Tag "${name}" is not used` });
+            unused.push(name);
+        }
+    }
+
+    // The same mistake usually appears in every copy of a repeated tag
+    const unique = list => list.filter((entry, index) =>
+        list.findIndex(other => other.message === entry.message) === index);
+    return { errors: unique(errors), warnings, unknown: [...unknown], missing, unused };
+}
+
+/**
+ * Validate a template against the itinerary data model
+ * @param {Buffer} buffer - The .docx file
+ * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>, tags: Array<Object>}}
+ */
+function validateTemplate(buffer) {
+    const inspection = inspectTemplate(buffer);
+    if (inspection.errors.length > 0) {
+        return { valid: false, errors: inspection.errors, warnings: [], tags: [] };
+    }
+
+    const { errors, warnings } = checkTags(inspection.tags);
+    return { valid: errors.length === 0, errors, warnings, tags: inspection.tags };
+}
+
+/**
+ * Full report on a template for designers: every tag, loop and image it
+ * contains, plus the problems validateTemplate would reject it for
+ * @param {Buffer} buffer - The .docx file
+ * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>, tags: Array<Object>,
+ *   placeholders: string[], loops: Array<{name: string, inverted: boolean, fields: string[]}>, images: string[],
+ *   unknownTags: string[], missingRequired: string[], unusedOptional: string[]}}
+ */
+function lintTemplate(buffer) {
+    const inspection = inspectTemplate(buffer);
+    const report = {
+        valid: false,
+        errors: inspection.errors,
+        warnings: [],
+        tags: inspection.tags,
+        placeholders: [],
+        loops: [],
+        images: [],
+        unknownTags: [],
+        missingRequired: [],
+        unusedOptional: []
+    };
+    if (inspection.errors.length > 0) return report;
+
+    const collect = (tags) => {
+        for (const tag of tags) {
+            if (tag.kind === 'image') {
+                if (!report.images.includes(tag.name)) report.images.push(tag.name);
+            } else if (tag.kind === 'loop' || tag.kind === 'inverted') {
+                const fields = (tag.children || []).filter(child => child.kind === 'text').map(child => child.name);
+                const loop = report.loops.find(other => other.name === tag.name && other.inverted === (tag.kind === 'inverted'));
+                if (loop) {
+                    fields.forEach(field => { if (!loop.fields.includes(field)) loop.fields.push(field); });
+                } else {
+                    report.loops.push({ name: tag.name, inverted: tag.kind === 'inverted', fields: [...new Set(fields)] });
+                }
+            } else if (!report.placeholders.includes(tag.name)) {
+                report.placeholders.push(tag.name);
+            }
+            collect(tag.children || []);
+        }
+    };
+    collect(inspection.tags);
+
+    const check = checkTags(inspection.tags);
+    return {
+        ...report,
+        valid: check.errors.length === 0,
+        errors: check.errors,
+        warnings: check.warnings,
+        unknownTags: check.unknown,
+        missingRequired: check.missing,
+        unusedOptional: check.unused
+    };
+}
+
+function templatePath(userId, record) {
+    return path.join(TEMPLATES_DIR, userId, record.fileName);
+}
+
+// Templates without a language are used for documents in any language
+function sameLanguage(a, b) {
+    return (a.language || null) === (b.language || null);
+}
+
+/**
+ * @param {string} userId - Owner
+ * @returns {Promise<Array<Object>>} - The user's template records
+ */
+async function listTemplates(userId) {
+    const all = await templatesFile.read();
+    return all[userId] || [];
+}
+
+/**
+ * @param {string} userId - Owner
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object|null>}
+ */
+async function getTemplate(userId, templateId) {
+    return (await listTemplates(userId)).find(record => record.id === templateId) || null;
+}
+
+/**
+ * Read the .docx file of a stored template
+ * @param {string} userId - Owner
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Buffer|null>} - The file, or null if the template does not exist
+ */
+async function readTemplateFile(userId, templateId) {
+    const record = await getTemplate(userId, templateId);
+    return record ? fs.readFile(templatePath(userId, record)) : null;
+}
+
+/**
+ * Validate and store an uploaded template
+ * @param {string} userId - Owner
+ * @param {Object} upload
+ * @param {Buffer} upload.buffer - The .docx file
+ * @param {string} upload.name - Display name (e.g. "Luxury")
+ * @param {string} [upload.originalName] - File name as uploaded
+ * @param {boolean} [upload.isDefault=false] - Use it for itineraries that do not choose one
+ * @param {string|null} [upload.language=null] - Language its text is written in; null for any.
+ *   The default is per language: there is at most one for each language and one for any.
+ * @returns {Promise<Object>} - The stored record
+ * @throws {TemplateValidationError} - When the template does not fit the data model
+ */
+async function addTemplate(userId, { buffer, name, originalName = null, isDefault = false, language = null }) {
+    const validation = validateTemplate(buffer);
+    if (!validation.valid) {
+        throw new TemplateValidationError(validation.errors, validation.warnings);
+    }
+
+    const id = generateTemplateId();
+    const record = {
+        id,
+        name,
+        originalName,
+        fileName: `${id}.docx`,
+        size: buffer.length,
+        sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        isDefault: !!isDefault,
+        language: language || null,
+        warnings: validation.warnings,
+        uploadedAt: new Date().toISOString()
+    };
+
+    await writeFileAtomic(templatePath(userId, record), buffer);
+    return templatesFile.update((all) => {
+        const list = all[userId] || [];
+        if (record.isDefault) {
+            list.filter(other => sameLanguage(other, record)).forEach(other => { other.isDefault = false; });
+        }
+        list.push(record);
+        all[userId] = list;
+        return { ...record };
+    });
+}
+
+/**
+ * Rename a template, change its language or make it the default for its language
+ * @param {string} userId - Owner
+ * @param {string} templateId - Template ID
+ * @param {{name?: string, isDefault?: boolean, language?: string|null}} changes
+ * @returns {Promise<Object|null>} - The updated record, or null if not found
+ */
+function updateTemplate(userId, templateId, { name, isDefault, language }) {
+    return templatesFile.update((all) => {
+        const list = all[userId] || [];
+        const record = list.find(other => other.id === templateId);
+        if (!record) return null;
+
+        if (name !== undefined) record.name = name;
+        if (language !== undefined) record.language = language || null;
+        if (isDefault !== undefined) record.isDefault = !!isDefault;
+        if (record.isDefault) {
+            list.filter(other => other !== record && sameLanguage(other, record))
+                .forEach(other => { other.isDefault = false; });
+        }
+        return { ...record };
+    });
+}
+
+/**
+ * Itineraries of a user that chose a template, now or in a revision they can be restored to
+ * @param {string} userId - Owner
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Array<string>>} - Itinerary IDs
+ */
+async function findTemplateReferences(userId, templateId) {
+    const all = await storage.files.itineraries.read();
+    const owned = Object.values(all[userId] || {});
+    const current = owned
+        .filter(itinerary => itinerary.data && itinerary.data.templateId === templateId)
+        .map(itinerary => itinerary.id);
+    const ownedIds = new Set(owned.map(itinerary => itinerary.id));
+    const restorable = await revisions.findItinerariesWithRevision((data, itineraryId) =>
+        ownedIds.has(itineraryId) && data.templateId === templateId);
+    return [...new Set([...current, ...restorable])];
+}
+
+/**
+ * Delete a template no itinerary or stored revision chose
+ * @param {string} userId - Owner
+ * @param {string} templateId - Template ID
+ * @returns {Promise<boolean>} - Whether a template was removed
+ * @throws {TemplateInUseError} - While itineraries use it
+ */
+async function deleteTemplate(userId, templateId) {
+    // Itinerary edits validate templateId while holding the itineraries lock,
+    // so holding it too keeps them from choosing the template mid-delete
+    const removed = await storage.withLock(storage.files.itineraries.filePath, () =>
+        templatesFile.update(async (all) => {
+            const list = all[userId] || [];
+            const index = list.findIndex(other => other.id === templateId);
+            if (index === -1) return null;
+
+            const references = await findTemplateReferences(userId, templateId);
+            if (references.length > 0) throw new TemplateInUseError(references);
+            return list.splice(index, 1)[0];
+        }));
+    if (!removed) return false;
+
+    await fs.rm(templatePath(userId, removed), { force: true });
+    return true;
+}
+
+/**
+ * Pick the template file for an itinerary: the one it chose, else the
+ * company's default for the document language, else its default for any
+ * language, else the built-in EuroLanka template in that language (English
+ * when there is no translation)
+ * @param {string} userId - Owner of the itinerary
+ * @param {string|null} [templateId] - Template chosen in the itinerary data
+ * @param {string} [language='en'] - Document language
+ * @returns {Promise<string>} - Path to the .docx template
+ */
+async function resolveTemplatePath(userId, templateId = null, language = i18n.DEFAULT_LANGUAGE) {
+    const list = await listTemplates(userId);
+    const chosen = templateId ? list.find(record => record.id === templateId) : null;
+    if (templateId && !chosen) {
+        console.warn(`Template ${templateId} no longer exists for ${userId}, using the default`);
+    }
+
+    const record = chosen ||
+        list.find(other => other.isDefault && other.language === language) ||
+        list.find(other => other.isDefault && !other.language);
+    if (record) return templatePath(userId, record);
+
+    const builtIn = builtInTemplatePath(language);
+    return await fileExists(builtIn) ? builtIn : DEFAULT_TEMPLATE_PATH;
+}
+
+module.exports = {
+    TEMPLATE_FIELDS,
+    DEFAULT_TEMPLATE_PATH,
+    builtInTemplatePath,
+    TemplateValidationError,
+    TemplateInUseError,
+    describeTemplateError,
+    inspectTemplate,
+    validateTemplate,
+    lintTemplate,
+    listTemplates,
+    getTemplate,
+    readTemplateFile,
+    addTemplate,
+    updateTemplate,
+    deleteTemplate,
+    resolveTemplatePath
+};